@@ -4,20 +4,53 @@ const path = require('path');
 const fs = require('fs').promises;
 const { DatabaseManager } = require('../database/database-manager');
 const { FileManager } = require('../file-manager/file-manager');
-const { systemPreferences, dialog, BrowserWindow } = require('electron');
+const { ThumbnailManager } = require('../file-manager/thumbnail-manager');
+const { CaptureScheduler } = require('./capture-scheduler');
+const { FrameDeduplicator } = require('./frame-deduplicator');
+const { ChangeDetector, PREVIEW_WIDTH } = require('./change-detector');
+const { systemPreferences, dialog, BrowserWindow, desktopCapturer, screen } = require('electron');
 const macPermissions = require('mac-screen-capture-permissions');
 const { createCanvas, loadImage, registerFont } = require('canvas');
-const { exec } = require('child_process');
+const { exec, execFile } = require('child_process');
 const { promisify } = require('util');
 const execAsync = promisify(exec);
+const execFileAsync = promisify(execFile);
 const Store = require('electron-store');
 const { app } = require('electron');
 const { format } = require('date-fns');
 
+const DELAYED_CAPTURE_TYPES = ['screenshot', 'camera', 'composite'];
+const DEFAULT_CAPTURE_DELAY_SECONDS = 5;
+const MAX_CAPTURE_DELAY_SECONDS = 300;
+
+// Time the countdown overlay gets to disappear from the screen before the shot
+const COUNTDOWN_CLEAR_MS = 200;
+
+// Every saved capture records how it was taken, the interval session it belongs
+// to and what started it. Capture methods take these as a context:
+//   mode: 'manual', 'delayed', 'interval' or 'change'   -> capture_mode
+//   sessionId: the interval session, if any            -> interval_session_id
+//   trigger: 'app', 'tray', 'shortcut' or 'session'     -> trigger_source
+// Rows imported by a library rescan have the trigger 'rescan'.
+function getContextFields(context = {}) {
+  return {
+    capture_mode: context.mode || 'manual',
+    interval_session_id: context.sessionId || null,
+    trigger_source: context.trigger || null
+  };
+}
+
 class CaptureManager {
-  constructor(dbManager = null) {
+  constructor(dbManager = null, fileManager = null) {
     this.dbManager = dbManager || new DatabaseManager();
-    this.fileManager = new FileManager();
+    this.fileManager = fileManager || new FileManager(this.dbManager);
+    this.thumbnailManager = new ThumbnailManager(this.dbManager);
+    // Concurrent interval sessions and manual captures take turns with the camera
+    this.scheduler = new CaptureScheduler();
+    // Remembers each interval session's last screenshot to skip repeats
+    this.deduplicator = new FrameDeduplicator();
+    // Last saved frame of each change-triggered session
+    this.changeDetector = new ChangeDetector();
     this.store = new Store();
     this.webcamOptions = {
       width: 1280,
@@ -30,6 +63,7 @@ class CaptureManager {
       verbose: false
     };
     this.defaultCameraId = this.store.get('defaultCameraId');
+    this.regionSelection = null;
   }
 
   async initialize() {
@@ -40,9 +74,7 @@ class CaptureManager {
     console.log('Initializing CaptureManager...');
 
     try {
-      // Get save directory
-      this.saveDirectory = this.store.get('saveDirectory') || app.getPath('pictures');
-      console.log('Save directory:', this.saveDirectory);
+      console.log('Save directory:', this.fileManager.getDefaultSaveLocation());
 
       // Check and set up permissions on macOS
       if (process.platform === 'darwin') {
@@ -62,6 +94,9 @@ class CaptureManager {
         console.log(`imagesnap available: ${imagesnapAvailable}`);
       }
 
+      // Record the connected displays in the devices table
+      await this.enumerateDisplays();
+
       // Enumerate cameras and set default if not already set
       console.log('Initializing camera settings...');
       await this.initializeDefaultCamera();
@@ -444,16 +479,152 @@ read -n 1
     console.log('Default camera set to:', deviceId);
   }
 
+  // Display operations
+  async enumerateDisplays() {
+    const primaryId = screen.getPrimaryDisplay().id;
+
+    const displays = screen.getAllDisplays().map((display, index) => ({
+      device_id: String(display.id),
+      device_name: display.label || `Display ${index + 1}`,
+      device_type: 'display',
+      primary: display.id === primaryId,
+      capabilities: {
+        bounds: display.bounds,
+        size: display.size,
+        scaleFactor: display.scaleFactor,
+        rotation: display.rotation,
+        internal: display.internal
+      }
+    }));
+
+    for (const display of displays) {
+      try {
+        await this.dbManager.upsertDevice(display);
+      } catch (dbError) {
+        console.error('Failed to record display in database:', dbError);
+      }
+    }
+
+    return displays;
+  }
+
+  // 'primary', 'all' (one file per display), 'stitched' (one virtual desktop image) or a display id
+  getScreenshotDisplayTarget() {
+    return this.store.get('screenshotDisplay', 'primary');
+  }
+
+  // The displays a screenshot target covers
+  getTargetDisplays(target) {
+    const displays = screen.getAllDisplays();
+
+    if (target === 'all' || target === 'stitched') {
+      return displays;
+    }
+
+    if (target && target !== 'primary') {
+      const match = displays.find(d => String(d.id) === String(target));
+      if (match) {
+        return [match];
+      }
+      console.warn(`Display ${target} is not connected, capturing the primary display instead`);
+    }
+
+    return [screen.getPrimaryDisplay()];
+  }
+
+  // Returns [{ buffer, displayId }], one entry per file to be written
+  async grabDisplays(target = this.getScreenshotDisplayTarget()) {
+    const displays = this.getTargetDisplays(target);
+
+    if (target === 'stitched' && displays.length > 1) {
+      return [{ buffer: await this.stitchDisplays(displays), displayId: 'virtual' }];
+    }
+
+    const images = [];
+    for (const display of displays) {
+      images.push({ buffer: await this.captureDisplayImage(display), displayId: String(display.id) });
+    }
+    return images;
+  }
+
+  // Composes all displays into one image laid out like the virtual desktop
+  async stitchDisplays(displays) {
+    const scale = Math.max(...displays.map(d => d.scaleFactor));
+    const minX = Math.min(...displays.map(d => d.bounds.x));
+    const minY = Math.min(...displays.map(d => d.bounds.y));
+    const maxX = Math.max(...displays.map(d => d.bounds.x + d.bounds.width));
+    const maxY = Math.max(...displays.map(d => d.bounds.y + d.bounds.height));
+
+    const canvas = createCanvas(Math.round((maxX - minX) * scale), Math.round((maxY - minY) * scale));
+    const ctx = canvas.getContext('2d');
+
+    // Areas not covered by any display stay black
+    ctx.fillStyle = '#000000';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+    for (const display of displays) {
+      const img = await loadImage(await this.captureDisplayImage(display));
+      ctx.drawImage(
+        img,
+        Math.round((display.bounds.x - minX) * scale),
+        Math.round((display.bounds.y - minY) * scale),
+        Math.round(display.bounds.width * scale),
+        Math.round(display.bounds.height * scale)
+      );
+    }
+
+    return canvas.toBuffer('image/png');
+  }
+
+  // options: { context, dedup } for interval sessions that skip repeated frames,
+  // { context, diffScore } for change-triggered ones
+  async saveDisplayCaptures(images, captureType = 'screenshot', options = {}) {
+    const results = [];
+    const duplicates = [];
+
+    for (const [index, image] of images.entries()) {
+      const result = await this.saveScreenshot(image.buffer, captureType, {
+        display_id: image.displayId,
+        // Files written in the same second need distinct names
+        filenameSuffix: images.length > 1 ? `D${index + 1}` : null,
+        context: options.context,
+        dedup: options.dedup,
+        diffScore: options.diffScore
+      });
+      (result.deduplicated ? duplicates : results).push(result);
+
+      if (image.displayId !== 'virtual') {
+        this.dbManager.touchDevice(image.displayId).catch(err => console.error('Failed to update display usage:', err));
+      }
+    }
+
+    // Nothing changed on any display
+    if (results.length === 0) {
+      return { ...duplicates[0], captures: [], duplicates };
+    }
+
+    // Keep the single-capture shape callers expect, with every file listed under
+    // captures and the displays skipped as duplicates under duplicates
+    return {
+      ...results[0],
+      captures: results,
+      duplicates
+    };
+  }
+
   // Screenshot operations
-  async captureFullScreen() {
+  async captureFullScreen(options = {}) {
     try {
       console.log('Capturing full screen...');
 
-      // Capture full screen screenshot
-      const imageBuffer = await screenshot({ format: 'png' });
+      const images = await this.grabDisplays(options.display || this.getScreenshotDisplayTarget());
 
       // Save screenshot
-      return this.saveScreenshot(imageBuffer, 'screenshot');
+      return await this.saveDisplayCaptures(images, 'screenshot', {
+        context: options.context,
+        dedup: options.dedup,
+        diffScore: options.diffScore
+      });
     } catch (error) {
       console.error('Full screen capture failed:', error);
 
@@ -469,7 +640,7 @@ read -n 1
     }
   }
 
-  async captureActiveWindow() {
+  async captureActiveWindow(options = {}) {
     try {
       // For macOS, we need to ensure screen recording permission is granted
       if (process.platform === 'darwin') {
@@ -477,32 +648,299 @@ read -n 1
         if (!hasPermission) {
           throw new Error('Screen recording permission is required. Please restart the app after granting permission in System Preferences.');
         }
-
-        // Window capture is not well-supported across platforms
-        // For now, we'll just capture the full screen on macOS
-        return await this.captureFullScreen();
       }
 
-      const img = await screenshot({ format: 'png' });
-      return await this.saveScreenshot(img, 'window');
+      const { buffer, windowInfo } = await this.grabActiveWindow();
+      return await this.saveScreenshot(buffer, 'window', {
+        device_info: this.describeWindow(windowInfo),
+        context: options.context
+      });
     } catch (error) {
       console.error('Active window capture failed:', error);
       throw error;
     }
   }
 
+  // Captures only the frontmost window. Throws instead of silently falling back to
+  // the full screen, so callers never save something the user didn't ask for.
+  async grabActiveWindow() {
+    const windowInfo = await this.getActiveWindowInfo();
+    if (!windowInfo) {
+      throw new Error('Could not determine the active window');
+    }
+
+    console.log('Active window:', windowInfo);
+
+    let buffer = null;
+
+    // desktopCapturer gives us the window contents even when it is partly covered
+    if (process.platform !== 'darwin') {
+      buffer = await this.captureWindowSource(windowInfo);
+    }
+
+    // Otherwise cut the window's bounds out of a capture of its display
+    if (!buffer && windowInfo.bounds) {
+      const display = screen.getDisplayMatching(windowInfo.bounds);
+      const displayImage = await this.captureDisplayImage(display);
+      const result = await this.cropDisplayImage(displayImage, display, {
+        x: windowInfo.bounds.x - display.bounds.x,
+        y: windowInfo.bounds.y - display.bounds.y,
+        width: windowInfo.bounds.width,
+        height: windowInfo.bounds.height
+      });
+      buffer = result.buffer;
+    }
+
+    if (!buffer) {
+      throw new Error(`Could not capture the active window "${windowInfo.title || windowInfo.owner}"`);
+    }
+
+    return { buffer, windowInfo };
+  }
+
+  async captureWindowSource(windowInfo) {
+    try {
+      // Ask for the largest display size so the thumbnail isn't downscaled
+      const maxSize = screen.getAllDisplays().reduce((size, display) => ({
+        width: Math.max(size.width, Math.round(display.size.width * display.scaleFactor)),
+        height: Math.max(size.height, Math.round(display.size.height * display.scaleFactor))
+      }), { width: 0, height: 0 });
+
+      const sources = await desktopCapturer.getSources({ types: ['window'], thumbnailSize: maxSize });
+
+      // Source ids look like "window:<native handle>:0", prefer matching on the handle
+      const source = sources.find(s => windowInfo.id && s.id.split(':')[1] === String(windowInfo.id)) ||
+        sources.find(s => windowInfo.title && s.name === windowInfo.title);
+
+      if (!source || source.thumbnail.isEmpty()) {
+        console.warn('No desktopCapturer source matched the active window');
+        return null;
+      }
+
+      return source.thumbnail.toPNG();
+    } catch (error) {
+      console.error('desktopCapturer window capture failed:', error);
+      return null;
+    }
+  }
+
+  // Returns { id, title, owner, pid, bounds } for the frontmost window, or null.
+  // bounds are in screen DIPs.
+  async getActiveWindowInfo() {
+    try {
+      if (process.platform === 'darwin') {
+        return await this.getActiveWindowInfoMac();
+      } else if (process.platform === 'win32') {
+        return await this.getActiveWindowInfoWindows();
+      }
+      return await this.getActiveWindowInfoLinux();
+    } catch (error) {
+      console.error('Failed to get active window info:', error);
+      return null;
+    }
+  }
+
+  async getActiveWindowInfoMac() {
+    // Needs Accessibility permission for System Events to report window details
+    const script = `
+      tell application "System Events"
+        set frontProc to first application process whose frontmost is true
+        set appName to name of frontProc
+        set appPid to unix id of frontProc
+        set winTitle to ""
+        set winBounds to ""
+        try
+          set frontWin to front window of frontProc
+          set winTitle to name of frontWin
+          set {winX, winY} to position of frontWin
+          set {winW, winH} to size of frontWin
+          set winBounds to (winX as text) & "," & (winY as text) & "," & (winW as text) & "," & (winH as text)
+        end try
+      end tell
+      return appName & linefeed & appPid & linefeed & winTitle & linefeed & winBounds
+    `;
+
+    const { stdout } = await execFileAsync('osascript', ['-e', script]);
+    const [owner, pid, title, bounds] = stdout.replace(/\n$/, '').split('\n');
+
+    return {
+      id: null,
+      title: title || '',
+      owner: owner || '',
+      pid: pid ? parseInt(pid) : null,
+      bounds: this.parseBounds(bounds)
+    };
+  }
+
+  async getActiveWindowInfoWindows() {
+    const script = `
+      Add-Type @"
+        using System;
+        using System.Runtime.InteropServices;
+        using System.Text;
+        public class ActiveWindow {
+          [StructLayout(LayoutKind.Sequential)] public struct RECT { public int Left; public int Top; public int Right; public int Bottom; }
+          [DllImport("user32.dll")] public static extern IntPtr GetForegroundWindow();
+          [DllImport("user32.dll", CharSet = CharSet.Unicode)] public static extern int GetWindowText(IntPtr hWnd, StringBuilder text, int count);
+          [DllImport("user32.dll")] public static extern bool GetWindowRect(IntPtr hWnd, out RECT rect);
+          [DllImport("user32.dll")] public static extern uint GetWindowThreadProcessId(IntPtr hWnd, out uint pid);
+        }
+"@
+      $hwnd = [ActiveWindow]::GetForegroundWindow()
+      $title = New-Object System.Text.StringBuilder 1024
+      [void][ActiveWindow]::GetWindowText($hwnd, $title, 1024)
+      $rect = New-Object ActiveWindow+RECT
+      [void][ActiveWindow]::GetWindowRect($hwnd, [ref]$rect)
+      $procId = 0
+      [void][ActiveWindow]::GetWindowThreadProcessId($hwnd, [ref]$procId)
+      $proc = Get-Process -Id $procId -ErrorAction SilentlyContinue
+      @{
+        id = $hwnd.ToInt64()
+        title = $title.ToString()
+        owner = if ($proc) { $proc.ProcessName } else { '' }
+        pid = $procId
+        x = $rect.Left; y = $rect.Top; width = $rect.Right - $rect.Left; height = $rect.Bottom - $rect.Top
+      } | ConvertTo-Json -Compress
+    `;
+
+    // -EncodedCommand avoids having to escape the script for cmd.exe
+    const encoded = Buffer.from(script, 'utf16le').toString('base64');
+    const { stdout } = await execFileAsync('powershell.exe', ['-NoProfile', '-NonInteractive', '-EncodedCommand', encoded], { timeout: 10000 });
+    const info = JSON.parse(stdout.trim());
+
+    // GetWindowRect reports physical pixels
+    const bounds = screen.screenToDipRect(null, {
+      x: info.x,
+      y: info.y,
+      width: info.width,
+      height: info.height
+    });
+
+    return {
+      id: info.id,
+      title: info.title,
+      owner: info.owner,
+      pid: info.pid,
+      bounds
+    };
+  }
+
+  async getActiveWindowInfoLinux() {
+    // X11 only; Wayland compositors don't expose the active window to other clients
+    const { stdout: rootOutput } = await execFileAsync('xprop', ['-root', '_NET_ACTIVE_WINDOW']);
+    const idMatch = rootOutput.match(/window id # (0x[0-9a-f]+)/i);
+    if (!idMatch || parseInt(idMatch[1], 16) === 0) {
+      return null;
+    }
+
+    const hexId = idMatch[1];
+    const { stdout: propOutput } = await execFileAsync('xprop', ['-id', hexId, '_NET_WM_NAME', 'WM_NAME', 'WM_CLASS', '_NET_WM_PID']);
+
+    const titleMatch = propOutput.match(/_NET_WM_NAME\([^)]*\) = "(.*)"/) || propOutput.match(/WM_NAME\([^)]*\) = "(.*)"/);
+    const classMatch = propOutput.match(/WM_CLASS\([^)]*\) = "[^"]*", "([^"]*)"/);
+    const pidMatch = propOutput.match(/_NET_WM_PID\([^)]*\) = (\d+)/);
+
+    let bounds = null;
+    try {
+      const { stdout: geometry } = await execFileAsync('xwininfo', ['-id', hexId]);
+      const value = (label) => {
+        const match = geometry.match(new RegExp(`${label}:\\s+(-?\\d+)`));
+        return match ? parseInt(match[1]) : null;
+      };
+      bounds = this.physicalToDipBoundsLinux(this.parseBounds([
+        value('Absolute upper-left X'),
+        value('Absolute upper-left Y'),
+        value('Width'),
+        value('Height')
+      ].join(',')));
+    } catch (geometryError) {
+      console.warn('xwininfo failed, window bounds unknown:', geometryError.message);
+    }
+
+    return {
+      id: parseInt(hexId, 16),
+      title: titleMatch ? titleMatch[1] : '',
+      owner: classMatch ? classMatch[1] : '',
+      pid: pidMatch ? parseInt(pidMatch[1]) : null,
+      bounds
+    };
+  }
+
+  // xwininfo reports physical pixels and screenToDipRect is Windows and macOS
+  // only, so scale by the display the window's centre is on
+  physicalToDipBoundsLinux(bounds) {
+    if (!bounds) {
+      return null;
+    }
+
+    const centerX = bounds.x + bounds.width / 2;
+    const centerY = bounds.y + bounds.height / 2;
+    const display = screen.getAllDisplays().find(candidate => {
+      const scale = candidate.scaleFactor;
+      return centerX >= candidate.bounds.x * scale && centerX < (candidate.bounds.x + candidate.bounds.width) * scale &&
+        centerY >= candidate.bounds.y * scale && centerY < (candidate.bounds.y + candidate.bounds.height) * scale;
+    }) || screen.getPrimaryDisplay();
+
+    const scale = display.scaleFactor || 1;
+    return {
+      x: Math.round(bounds.x / scale),
+      y: Math.round(bounds.y / scale),
+      width: Math.round(bounds.width / scale),
+      height: Math.round(bounds.height / scale)
+    };
+  }
+
+  parseBounds(value) {
+    if (!value) {
+      return null;
+    }
+
+    const [x, y, width, height] = value.split(',').map(Number);
+    if (![x, y, width, height].every(Number.isFinite) || width <= 0 || height <= 0) {
+      return null;
+    }
+
+    return { x, y, width, height };
+  }
+
+  describeWindow(windowInfo) {
+    return {
+      window_title: windowInfo.title,
+      window_owner: windowInfo.owner,
+      window_id: windowInfo.id,
+      pid: windowInfo.pid,
+      bounds: windowInfo.bounds
+    };
+  }
+
   async captureScreenshot(options = {}) {
     const { type = 'fullscreen', saveToDisk = true, includeTimestamp = true } = options;
 
     try {
       let imageBuffer;
+      let saveOptions = {};
 
       // Capture based on type
       if (type === 'fullscreen') {
-        imageBuffer = await screenshot({ format: 'png' });
+        const display = options.display || this.getScreenshotDisplayTarget();
+
+        if (saveToDisk) {
+          const result = await this.saveDisplayCaptures(await this.grabDisplays(display), 'screenshot', {
+            context: options.context
+          });
+          return {
+            success: true,
+            ...result
+          };
+        }
+
+        // Callers that want a buffer get a single image, so 'all' becomes the stitched desktop
+        const [image] = await this.grabDisplays(display === 'all' ? 'stitched' : display);
+        imageBuffer = image.buffer;
       } else if (type === 'window') {
-        // For active window capture, we'll use the same method for now
-        imageBuffer = await screenshot({ format: 'png' });
+        const { buffer, windowInfo } = await this.grabActiveWindow();
+        imageBuffer = buffer;
+        saveOptions = { device_info: this.describeWindow(windowInfo), context: options.context };
       } else {
         throw new Error(`Unknown screenshot type: ${type}`);
       }
@@ -516,7 +954,7 @@ read -n 1
       }
 
       // Otherwise, save to disk and return file info
-      const result = await this.saveScreenshot(imageBuffer, 'screenshot');
+      const result = await this.saveScreenshot(imageBuffer, type === 'window' ? 'window' : 'screenshot', saveOptions);
       return {
         success: true,
         ...result
@@ -539,26 +977,391 @@ read -n 1
     }
   }
 
-  async saveScreenshot(imageBuffer, captureType) {
+  // Region capture
+  async captureRegion(options = {}) {
+    if (this.regionSelection) {
+      this.regionSelection.window.focus();
+      return {
+        success: false,
+        error: 'A region selection is already in progress'
+      };
+    }
+
+    try {
+      console.log('Starting region capture...');
+
+      const display = screen.getDisplayNearestPoint(screen.getCursorScreenPoint());
+
+      // Grab the display before the overlay appears so the overlay never ends up in the shot
+      const imageBuffer = await this.captureDisplayImage(display);
+
+      const selection = await this.selectRegion(display);
+      if (!selection) {
+        console.log('Region selection cancelled');
+        return { success: false, cancelled: true };
+      }
+
+      const { buffer, region } = await this.cropDisplayImage(imageBuffer, display, selection);
+
+      const result = await this.saveScreenshot(buffer, 'region', {
+        region,
+        display_id: String(display.id),
+        context: options.context
+      });
+      return {
+        success: true,
+        ...result
+      };
+    } catch (error) {
+      console.error('Region capture failed:', error);
+
+      // Check if this might be a permission error
+      if (error.message && (
+        error.message.includes('permission') ||
+        error.message.includes('access') ||
+        error.message.includes('screen capture'))) {
+        await this.handlePermissionError(error, 'screenshot');
+      }
+
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  // Lets the user drag out the part of a display a change-triggered session
+  // watches. The region is returned as fractions of the display's size.
+  async selectWatchRegion() {
+    if (this.regionSelection) {
+      this.regionSelection.window.focus();
+      return {
+        success: false,
+        error: 'A region selection is already in progress'
+      };
+    }
+
+    const display = screen.getDisplayNearestPoint(screen.getCursorScreenPoint());
+    const rect = await this.selectRegion(display);
+    if (!rect) {
+      return { success: false, cancelled: true };
+    }
+
+    const x = Math.min(1, Math.max(0, rect.x / display.bounds.width));
+    const y = Math.min(1, Math.max(0, rect.y / display.bounds.height));
+    return {
+      success: true,
+      region: {
+        displayId: String(display.id),
+        x,
+        y,
+        width: Math.min(1 - x, rect.width / display.bounds.width),
+        height: Math.min(1 - y, rect.height / display.bounds.height)
+      }
+    };
+  }
+
+  // maxWidth grabs a scaled down image, e.g. for change detection
+  async captureDisplayImage(display, maxWidth = null) {
+    const fullWidth = Math.round(display.size.width * display.scaleFactor);
+    const scale = maxWidth ? Math.min(1, maxWidth / fullWidth) : 1;
+    const thumbnailSize = {
+      width: Math.round(fullWidth * scale),
+      height: Math.round(display.size.height * display.scaleFactor * scale)
+    };
+
+    const sources = await desktopCapturer.getSources({ types: ['screen'], thumbnailSize });
+
+    // display_id is empty on some Linux setups, a single source is still unambiguous
+    const source = sources.find(s => s.display_id === String(display.id)) ||
+      (sources.length === 1 ? sources[0] : null);
+
+    if (!source || source.thumbnail.isEmpty()) {
+      console.warn(`No capture source for display ${display.id}, falling back to screenshot-desktop`);
+      return await screenshot({ format: 'png' });
+    }
+
+    return source.thumbnail.toPNG();
+  }
+
+  // Crops a display capture to a rectangle given in DIPs relative to the display.
+  // The returned region is in physical pixels of the captured image.
+  async cropDisplayImage(imageBuffer, display, rect) {
+    const img = await loadImage(imageBuffer);
+    const scaleX = img.width / display.bounds.width;
+    const scaleY = img.height / display.bounds.height;
+
+    const x = Math.max(0, Math.round(rect.x * scaleX));
+    const y = Math.max(0, Math.round(rect.y * scaleY));
+    const region = {
+      x,
+      y,
+      width: Math.min(img.width - x, Math.round((rect.x + rect.width) * scaleX) - x),
+      height: Math.min(img.height - y, Math.round((rect.y + rect.height) * scaleY) - y)
+    };
+
+    if (region.width <= 0 || region.height <= 0) {
+      throw new Error('Selected region is empty');
+    }
+
+    const canvas = createCanvas(region.width, region.height);
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(img, region.x, region.y, region.width, region.height, 0, 0, region.width, region.height);
+
+    return {
+      buffer: canvas.toBuffer('image/png'),
+      region
+    };
+  }
+
+  // Shows a transparent overlay over the display and resolves with the dragged
+  // rectangle (relative to the display, in DIPs) or null if the user cancelled
+  selectRegion(display) {
+    return new Promise((resolve) => {
+      const overlay = new BrowserWindow({
+        x: display.bounds.x,
+        y: display.bounds.y,
+        width: display.bounds.width,
+        height: display.bounds.height,
+        frame: false,
+        transparent: true,
+        alwaysOnTop: true,
+        skipTaskbar: true,
+        resizable: false,
+        movable: false,
+        minimizable: false,
+        maximizable: false,
+        fullscreenable: false,
+        hasShadow: false,
+        enableLargerThanScreen: true,
+        show: false,
+        webPreferences: {
+          nodeIntegration: false,
+          contextIsolation: true,
+          preload: path.join(__dirname, '../../renderer/preload.js')
+        }
+      });
+
+      overlay.setAlwaysOnTop(true, 'screen-saver');
+      overlay.setVisibleOnAllWorkspaces(true, { visibleOnFullScreen: true });
+
+      this.regionSelection = { window: overlay, resolve };
+
+      overlay.on('closed', () => {
+        // Closed without a selection (e.g. Alt+F4)
+        if (this.regionSelection && this.regionSelection.window === overlay) {
+          this.regionSelection = null;
+          resolve(null);
+        }
+      });
+
+      overlay.once('ready-to-show', () => {
+        overlay.show();
+        overlay.focus();
+      });
+
+      overlay.loadFile(path.join(__dirname, '../../renderer/region-selector.html'));
+    });
+  }
+
+  completeRegionSelection(rect) {
+    const selection = this.regionSelection;
+    if (!selection) {
+      return false;
+    }
+
+    this.regionSelection = null;
+    if (!selection.window.isDestroyed()) {
+      selection.window.close();
+    }
+
+    const isValid = rect &&
+      [rect.x, rect.y, rect.width, rect.height].every(Number.isFinite) &&
+      rect.width > 0 && rect.height > 0;
+
+    selection.resolve(isValid ? rect : null);
+    return true;
+  }
+
+  // Delayed captures
+  getCaptureDelay() {
+    return this.store.get('captureDelaySeconds', DEFAULT_CAPTURE_DELAY_SECONDS);
+  }
+
+  setCaptureDelay(seconds) {
+    const delay = Number(seconds);
+    if (!Number.isInteger(delay) || delay < 1 || delay > MAX_CAPTURE_DELAY_SECONDS) {
+      throw new Error(`Delay must be a whole number of seconds from 1 to ${MAX_CAPTURE_DELAY_SECONDS}`);
+    }
+    this.store.set('captureDelaySeconds', delay);
+  }
+
+  isCountingDown() {
+    return Boolean(this.countdown);
+  }
+
+  // Counts down on screen, then takes a screenshot, camera photo or composite
+  // saved with capture_mode 'delayed'. options: { type, seconds, deviceId, context }
+  async captureDelayed(options = {}) {
+    const type = options.type || 'screenshot';
+    const seconds = options.seconds === undefined ? this.getCaptureDelay() : Number(options.seconds);
+
+    if (!DELAYED_CAPTURE_TYPES.includes(type)) {
+      return { success: false, error: `Delayed capture is not available for ${type}` };
+    }
+    if (!Number.isInteger(seconds) || seconds < 1 || seconds > MAX_CAPTURE_DELAY_SECONDS) {
+      return { success: false, error: `Delay must be a whole number of seconds from 1 to ${MAX_CAPTURE_DELAY_SECONDS}` };
+    }
+    if (this.countdown) {
+      return { success: false, error: 'A countdown is already running' };
+    }
+
+    console.log(`Delayed ${type} capture in ${seconds}s`);
+    const completed = await this.runCountdown(seconds);
+    if (!completed) {
+      console.log('Delayed capture cancelled');
+      return { success: false, cancelled: true };
+    }
+
+    const context = { ...options.context, mode: 'delayed' };
+    if (type === 'camera') {
+      return await this.takeCameraPhoto({ deviceId: options.deviceId, context });
+    }
+    if (type === 'composite') {
+      return await this.takeCompositeCapture({ deviceId: options.deviceId, context });
+    }
+    return await this.captureScreenshot({ context });
+  }
+
+  // Shows the remaining seconds in a small click-through window on the display
+  // under the cursor. Resolves true once the countdown ran out and the window is
+  // off the screen, or false if it was cancelled.
+  runCountdown(seconds) {
+    return new Promise((resolve) => {
+      const display = screen.getDisplayNearestPoint(screen.getCursorScreenPoint());
+      const size = 180;
+      const overlay = new BrowserWindow({
+        x: Math.round(display.bounds.x + (display.bounds.width - size) / 2),
+        y: Math.round(display.bounds.y + (display.bounds.height - size) / 2),
+        width: size,
+        height: size,
+        frame: false,
+        transparent: true,
+        alwaysOnTop: true,
+        skipTaskbar: true,
+        resizable: false,
+        movable: false,
+        focusable: false,
+        hasShadow: false,
+        show: false,
+        webPreferences: {
+          nodeIntegration: false,
+          contextIsolation: true,
+          preload: path.join(__dirname, '../../renderer/preload.js')
+        }
+      });
+
+      overlay.setAlwaysOnTop(true, 'screen-saver');
+      overlay.setVisibleOnAllWorkspaces(true, { visibleOnFullScreen: true });
+      overlay.setIgnoreMouseEvents(true);
+      // Where the OS supports it, keeps the overlay out of screen captures even
+      // if it is still being drawn when the shot is taken
+      overlay.setContentProtection(true);
+
+      let remaining = seconds;
+      const countdown = { window: overlay, timer: null, resolve: null };
+      this.countdown = countdown;
+
+      const finish = (completed) => {
+        if (this.countdown !== countdown) return;
+        this.countdown = null;
+        clearInterval(countdown.timer);
+        if (!overlay.isDestroyed()) {
+          overlay.close();
+        }
+        if (completed) {
+          setTimeout(() => resolve(true), COUNTDOWN_CLEAR_MS);
+        } else {
+          resolve(false);
+        }
+      };
+      countdown.resolve = finish;
+
+      overlay.on('closed', () => finish(false));
+
+      overlay.webContents.once('did-finish-load', () => {
+        overlay.webContents.send('countdown-tick', remaining);
+        overlay.showInactive();
+
+        countdown.timer = setInterval(() => {
+          remaining--;
+          if (remaining <= 0) {
+            finish(true);
+          } else if (!overlay.isDestroyed()) {
+            overlay.webContents.send('countdown-tick', remaining);
+          }
+        }, 1000);
+      });
+
+      // Without the page there is no countdown to wait for
+      overlay.webContents.once('did-fail-load', (event, errorCode, errorDescription) => {
+        console.error('Countdown overlay failed to load:', errorDescription);
+        finish(false);
+      });
+
+      overlay.loadFile(path.join(__dirname, '../../renderer/countdown.html')).catch(error => {
+        console.error('Countdown overlay failed to load:', error);
+        finish(false);
+      });
+    });
+  }
+
+  cancelCountdown() {
+    if (!this.countdown) {
+      return false;
+    }
+    this.countdown.resolve(false);
+    return true;
+  }
+
+  async saveScreenshot(imageBuffer, captureType, options = {}) {
     try {
       const timestamp = new Date();
       const dateFolder = this.formatDate(timestamp);
 
       // Use different prefix for composite images
       const prefix = captureType === 'composite' ? 'COMPOSITE' : 'SCREEN';
-      const filename = this.generateFilename(prefix, timestamp, 'png');
-
-      const saveDir = await this.fileManager.ensureDateFolder(dateFolder);
-      const filepath = path.join(saveDir, filename);
-
-      // Save the image
-      await fs.writeFile(filepath, imageBuffer);
 
       // Get image metadata using canvas instead of sharp
       const img = await loadImage(imageBuffer);
       const width = img.width;
       const height = img.height;
 
+      // Interval sessions with dedup on skip frames that match the last one kept
+      const context = options.context || {};
+      let phash = null;
+      if (context.sessionId && options.dedup) {
+        phash = this.deduplicator.computeHash(img);
+        const previous = this.deduplicator.findDuplicate(context.sessionId, options.display_id, phash, options.dedup);
+        if (previous) {
+          console.log(`Skipping duplicate frame for session ${context.sessionId} (same as capture ${previous.captureId})`);
+          return {
+            deduplicated: true,
+            duplicate_of: previous.captureId,
+            display_id: options.display_id || null
+          };
+        }
+      }
+
+      const saveDir = await this.fileManager.ensureDateFolder(dateFolder);
+
+      // Save the image
+      const { filename, filepath } = await this.writeUniqueFile(
+        saveDir,
+        this.generateFilename(prefix, timestamp, 'png', options.filenameSuffix),
+        imageBuffer
+      );
+
       // Save to database - wrapped in try/catch to continue even if DB fails
       let dbResult = { id: 0 };
       try {
@@ -567,23 +1370,35 @@ read -n 1
           filepath,
           date_folder: dateFolder,
           capture_type: captureType === 'composite' ? 'composite' : 'screenshot',
-          capture_mode: 'manual',
+          ...getContextFields(context),
           file_size: imageBuffer.length,
           width: width,
           height: height,
-          thumbnail_path: null // No longer generating thumbnails
+          device_info: options.device_info || null,
+          region: options.region || null,
+          display_id: options.display_id || null,
+          phash,
+          diff_score: options.diffScore ?? null,
+          thumbnail_path: null // Filled in by the thumbnail worker
         };
 
         dbResult = await this.dbManager.insertCapture(captureData);
+        this.thumbnailManager.enqueue(dbResult.id, filepath);
       } catch (dbError) {
         console.error('Database save failed, but file was saved:', dbError);
       }
 
+      if (phash) {
+        this.deduplicator.remember(context.sessionId, options.display_id, phash, dbResult.id);
+      }
+
       return {
         id: dbResult.id,
         filepath,
         filename,
         thumbnail_path: null,
+        region: options.region || null,
+        display_id: options.display_id || null,
         metadata: {
           width: width,
           height: height,
@@ -743,7 +1558,11 @@ read -n 1
     }
   }
 
-  async capturePhoto(deviceId = null) {
+  async capturePhoto(deviceId = null, options = {}) {
+    return await this.scheduler.run('camera', () => this.runCapturePhoto(deviceId, options));
+  }
+
+  async runCapturePhoto(deviceId = null, options = {}) {
     try {
       console.log('Attempting camera capture...');
 
@@ -753,9 +1572,8 @@ read -n 1
 
       const timestamp = new Date();
       const dateFolder = this.formatDate(timestamp);
-      const filename = this.generateFilename('CAMERA', timestamp, 'jpg');
-
       const saveDir = await this.fileManager.ensureDateFolder(dateFolder);
+      const filename = await this.getAvailableFilename(saveDir, this.generateFilename('CAMERA', timestamp, 'jpg'));
       const filepath = path.join(saveDir, filename);
 
       const webcamOptions = {
@@ -811,15 +1629,16 @@ read -n 1
           filepath,
           date_folder: dateFolder,
           capture_type: 'camera',
-          capture_mode: 'manual',
+          ...getContextFields(options.context),
           file_size: imageBuffer.length,
           width: width,
           height: height,
           device_info: { device_id: cameraId || 'default' },
-          thumbnail_path: null // No longer generating thumbnails
+          thumbnail_path: null // Filled in by the thumbnail worker
         };
 
         dbResult = await this.dbManager.insertCapture(captureData);
+        this.thumbnailManager.enqueue(dbResult.id, filepath);
       } catch (dbError) {
         console.error('Database save failed, but file was saved:', dbError);
       }
@@ -830,8 +1649,8 @@ read -n 1
         filename,
         thumbnail_path: null,
         metadata: {
-          width: metadata.width,
-          height: metadata.height,
+          width: width,
+          height: height,
           size: imageBuffer.length
         }
       };
@@ -850,8 +1669,8 @@ read -n 1
     }
   }
 
-  async captureCamera(deviceId = null) {
-    return await this.capturePhoto(deviceId);
+  async captureCamera(deviceId = null, options = {}) {
+    return await this.capturePhoto(deviceId, options);
   }
 
   // Utility methods
@@ -862,7 +1681,7 @@ read -n 1
     return `${year}-${month}-${day}`;
   }
 
-  generateFilename(prefix, timestamp, extension) {
+  generateFilename(prefix, timestamp, extension, suffix = null) {
     const year = timestamp.getFullYear();
     const month = String(timestamp.getMonth() + 1).padStart(2, '0');
     const day = String(timestamp.getDate()).padStart(2, '0');
@@ -870,24 +1689,64 @@ read -n 1
     const minutes = String(timestamp.getMinutes()).padStart(2, '0');
     const seconds = String(timestamp.getSeconds()).padStart(2, '0');
 
-    return `${prefix}-${year}-${month}-${day}_${hours}-${minutes}-${seconds}.${extension}`;
+    const name = `${prefix}-${year}-${month}-${day}_${hours}-${minutes}-${seconds}`;
+    return suffix ? `${name}_${suffix}.${extension}` : `${name}.${extension}`;
+  }
+
+  // Concurrent sessions can capture within the same second. Rather than
+  // overwrite, later files get _2, _3... before the extension.
+  async getAvailableFilename(saveDir, filename) {
+    const { name, ext } = path.parse(filename);
+    for (let attempt = 1; ; attempt++) {
+      const candidate = attempt === 1 ? filename : `${name}_${attempt}${ext}`;
+      try {
+        await fs.access(path.join(saveDir, candidate));
+      } catch (error) {
+        return candidate;
+      }
+    }
+  }
+
+  // Like getAvailableFilename, but claims the name atomically while writing,
+  // for captures that aren't serialized by the scheduler
+  async writeUniqueFile(saveDir, filename, data) {
+    const { name, ext } = path.parse(filename);
+    for (let attempt = 1; ; attempt++) {
+      const candidate = attempt === 1 ? filename : `${name}_${attempt}${ext}`;
+      const filepath = path.join(saveDir, candidate);
+      try {
+        await fs.writeFile(filepath, data, { flag: 'wx' });
+        return { filename: candidate, filepath };
+      } catch (error) {
+        if (error.code !== 'EEXIST') {
+          throw error;
+        }
+      }
+    }
   }
 
   // Interval capture support
-  async captureForInterval(sessionId, captureType, deviceId = null) {
+  async captureForInterval(sessionId, captureType, deviceId = null, captureSettings = {}) {
     try {
       let result;
-
-      if (captureType === 'screenshot') {
-        result = await this.captureFullScreen();
+      const context = { mode: 'interval', sessionId, trigger: 'session' };
+
+      if (captureType === 'screenshot' && captureSettings.trigger) {
+        result = await this.captureOnChange(sessionId, captureSettings);
+      } else if (captureType === 'screenshot') {
+        result = await this.captureFullScreen({
+          display: captureSettings.display,
+          context,
+          dedup: captureSettings.dedup
+        });
       } else if (captureType === 'camera') {
-        result = await this.capturePhoto(deviceId);
+        result = await this.capturePhoto(deviceId, { context });
       } else if (captureType === 'both') {
         // Capture both screenshot and camera
-        result = await this.captureBoth(deviceId, sessionId);
+        result = await this.captureBoth(deviceId, sessionId, captureSettings);
       } else if (captureType === 'composite') {
         // Capture a composite image with screenshot and camera overlay
-        result = await this.takeCompositeCapture({ deviceId, sessionId, captureMode: 'interval' });
+        result = await this.takeCompositeCapture({ deviceId, context });
       } else {
         throw new Error(`Unknown capture type: ${captureType}`);
       }
@@ -902,24 +1761,66 @@ read -n 1
     }
   }
 
+  // Change-triggered sessions: a cheap low resolution check every interval, and
+  // a full screenshot only once enough of the screen changed
+  async captureOnChange(sessionId, captureSettings) {
+    const trigger = captureSettings.trigger;
+    const target = trigger.region ? trigger.region.displayId : (captureSettings.display || this.getScreenshotDisplayTarget());
+
+    const displays = this.getTargetDisplays(target);
+    if (trigger.region && !displays.some(display => String(display.id) === trigger.region.displayId)) {
+      throw new Error('The display with the watched region is not connected');
+    }
+
+    const previews = [];
+    for (const display of displays) {
+      const buffer = await this.captureDisplayImage(display, PREVIEW_WIDTH);
+      previews.push({ image: await loadImage(buffer), displayId: String(display.id) });
+    }
+
+    const { diffScore, changed, frames } = this.changeDetector.compare(sessionId, previews, trigger);
+    if (!changed) {
+      return { unchanged: true, diff_score: diffScore };
+    }
+
+    const result = await this.captureFullScreen({
+      display: target,
+      context: { mode: 'change', sessionId, trigger: 'session' },
+      diffScore
+    });
+
+    // The check's frames become the reference for the next one, the full
+    // screenshot was taken a moment later but matches them closely enough.
+    // Without a saved screenshot the next check compares against the old ones.
+    if (result && result.success !== false) {
+      this.changeDetector.remember(frames);
+    }
+    return { ...result, diff_score: diffScore };
+  }
+
   // New method to capture both screenshot and camera
-  async captureBoth(deviceId = null, sessionId = null) {
+  async captureBoth(deviceId = null, sessionId = null, captureSettings = {}) {
     try {
       console.log('Capturing both screenshot and camera...');
 
       // First, try to capture screenshot
       let screenshotResult = null;
       let cameraResult = null;
+      const context = { mode: sessionId ? 'interval' : 'manual', sessionId, trigger: sessionId ? 'session' : null };
 
       try {
-        screenshotResult = await this.captureFullScreen();
+        screenshotResult = await this.captureFullScreen({
+          display: captureSettings.display,
+          context,
+          dedup: captureSettings.dedup
+        });
       } catch (screenshotError) {
         console.error('Screenshot capture failed in combined capture:', screenshotError);
       }
 
       // Then try to capture camera
       try {
-        cameraResult = await this.capturePhoto(deviceId);
+        cameraResult = await this.capturePhoto(deviceId, { context });
       } catch (cameraError) {
         console.error('Camera capture failed in combined capture:', cameraError);
       }
@@ -930,11 +1831,14 @@ read -n 1
       }
 
       // Return the results
+      const savedScreenshot = screenshotResult && !screenshotResult.deduplicated ? screenshotResult : null;
       return {
         screenshot: screenshotResult,
         camera: cameraResult,
-        // Return the screenshot as the primary result, fallback to camera if screenshot failed
-        ...(screenshotResult || cameraResult)
+        // Return the screenshot as the primary result, fallback to camera if the
+        // screenshot failed or was a skipped duplicate
+        ...(savedScreenshot || cameraResult || screenshotResult),
+        duplicates: screenshotResult && screenshotResult.duplicates ? screenshotResult.duplicates : []
       };
     } catch (error) {
       console.error('Combined capture failed:', error);
@@ -1086,6 +1990,10 @@ read -n 1
   }
 
   async takeCameraPhoto(options = {}) {
+    return await this.scheduler.run('camera', () => this.runCameraPhoto(options));
+  }
+
+  async runCameraPhoto(options = {}) {
     try {
       console.log('Taking camera photo with options:', options);
 
@@ -1120,11 +2028,9 @@ read -n 1
       const dateStr = format(timestamp, 'yyyy-MM-dd');
       const timeStr = format(timestamp, 'HH-mm-ss');
 
-      // Generate filename
-      const filename = `CAMERA-${dateStr}_${timeStr}.jpg`;
-
       // Use the same directory creation method as other captures
       const saveDir = await this.fileManager.ensureDateFolder(dateStr);
+      const filename = await this.getAvailableFilename(saveDir, `CAMERA-${dateStr}_${timeStr}.jpg`);
       const filepath = path.join(saveDir, filename);
 
       console.log(`Saving camera photo to: ${filepath}`);
@@ -1243,13 +2149,13 @@ read -n 1
         filepath,
         date_folder: dateStr,
         capture_type: 'camera',
-        capture_mode: options.captureMode || 'manual',
-        interval_session_id: options.sessionId || null,
+        ...getContextFields(options.context),
         timestamp: timestamp.toISOString(),
         device_info: deviceId ? JSON.stringify({ deviceId }) : null
       };
 
-      await this.dbManager.insertCapture(captureRecord);
+      const dbResult = await this.dbManager.insertCapture(captureRecord);
+      this.thumbnailManager.enqueue(dbResult.id, filepath);
       console.log('Camera photo saved to database');
 
       return {
@@ -1285,6 +2191,10 @@ read -n 1
   }
 
   async takeCompositeCapture(options = {}) {
+    return await this.scheduler.run('camera', () => this.runCompositeCapture(options));
+  }
+
+  async runCompositeCapture(options = {}) {
     try {
       console.log('Taking composite capture with options:', options);
 
@@ -1327,11 +2237,9 @@ read -n 1
       const dateStr = format(timestamp, 'yyyy-MM-dd');
       const timeStr = format(timestamp, 'HH-mm-ss');
 
-      // Generate filename for composite image
-      const filename = `COMPOSITE-${dateStr}_${timeStr}.png`;
-
       // Use the same directory creation method as other captures
       const saveDir = await this.fileManager.ensureDateFolder(dateStr);
+      const filename = await this.getAvailableFilename(saveDir, `COMPOSITE-${dateStr}_${timeStr}.png`);
       const filepath = path.join(saveDir, filename);
 
       console.log(`Saving composite image to: ${filepath}`);
@@ -1537,13 +2445,13 @@ read -n 1
           filepath,
           date_folder: dateStr,
           capture_type: 'composite',
-          capture_mode: options.captureMode || 'manual',
-          interval_session_id: options.sessionId || null,
+          ...getContextFields(options.context),
           timestamp: timestamp.toISOString(),
           device_info: deviceId ? JSON.stringify({ deviceId }) : null
         };
 
-        await this.dbManager.insertCapture(captureRecord);
+        const dbResult = await this.dbManager.insertCapture(captureRecord);
+        this.thumbnailManager.enqueue(dbResult.id, filepath);
         console.log('Composite capture saved to database');
 
         return {
@@ -1564,8 +2472,9 @@ read -n 1
         error.message.includes('access') ||
         error.message.includes('denied')) {
         await this.handlePermissionError(error, 'composite');
-      } else {
-        // Generic error handling
+      } else if (!options.context || options.context.mode !== 'interval') {
+        // Interval sessions report repeated failures themselves instead of a
+        // dialog per tick
         dialog.showMessageBox({
           type: 'error',
           title: 'Composite Capture Error',
@@ -1640,10 +2549,9 @@ read -n 1
 
               try {
                 await fs.mkdir(fallbackPath, { recursive: true });
-                // Update saveDirectory to use fallback location
-                this.saveDirectory = app.getPath('pictures');
-                this.store.set('saveDirectory', this.saveDirectory);
-                console.log(`Using fallback save directory: ${this.saveDirectory}`);
+                // Switch the shared save location to the fallback
+                await this.fileManager.setSaveLocation(app.getPath('pictures'));
+                console.log(`Using fallback save directory: ${app.getPath('pictures')}`);
 
                 // Inform user of location change
                 dialog.showMessageBox({
@@ -1686,4 +2594,4 @@ read -n 1
   }
 }
 
-module.exports = { CaptureManager }; 
\ No newline at end of file
+module.exports = { CaptureManager, DELAYED_CAPTURE_TYPES }; 
\ No newline at end of file
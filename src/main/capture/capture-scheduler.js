@@ -0,0 +1,41 @@
+// Serializes captures that need exclusive use of a device. Several interval
+// sessions can run at once, but a camera can only be opened by one capture at a
+// time, so work for the same resource is queued and run in order. Different
+// resources run independently.
+class CaptureScheduler {
+  constructor() {
+    this.queues = new Map();
+    this.pending = new Map();
+  }
+
+  // Runs task() once every earlier task for this resource has settled and
+  // resolves or rejects with its result. A failing task doesn't block the queue.
+  run(resource, task) {
+    const previous = this.queues.get(resource) || Promise.resolve();
+    const result = previous.then(() => task());
+
+    const settled = result.catch(() => {});
+    this.queues.set(resource, settled);
+    this.pending.set(resource, (this.pending.get(resource) || 0) + 1);
+
+    settled.then(() => {
+      const remaining = this.pending.get(resource) - 1;
+      if (remaining === 0) {
+        // Nothing else queued, drop the chain so it doesn't grow forever
+        this.pending.delete(resource);
+        this.queues.delete(resource);
+      } else {
+        this.pending.set(resource, remaining);
+      }
+    });
+
+    return result;
+  }
+
+  // Number of tasks waiting for or using the resource
+  getPendingCount(resource) {
+    return this.pending.get(resource) || 0;
+  }
+}
+
+module.exports = { CaptureScheduler };
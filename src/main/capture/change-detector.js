@@ -0,0 +1,141 @@
+const { createCanvas } = require('canvas');
+
+// Change-triggered sessions, stored as capture_settings.trigger:
+//   { mode: 'change', threshold: N, region: { displayId, x, y, width, height } }
+// The screen is checked every interval at low resolution and a full screenshot is
+// only saved once at least N% of it differs from the last saved frame. The
+// optional region limits the comparison to part of one display, as fractions
+// (0-1) of the display's size so it holds at any capture resolution.
+
+// Width the screen is grabbed at for each check
+const PREVIEW_WIDTH = 320;
+
+// Width of the grayscale grid the comparison runs on
+const SAMPLE_WIDTH = 64;
+
+// Gray level change (0-255) a sample has to exceed to count as changed, so
+// compression noise and subpixel rendering don't add up to a capture
+const PIXEL_TOLERANCE = 24;
+
+const DEFAULT_CHANGE_THRESHOLD = 5;
+
+// Returns null for a regular interval session
+function normalizeChangeTrigger(trigger) {
+  if (!trigger || !trigger.mode || trigger.mode === 'interval') {
+    return null;
+  }
+  if (trigger.mode !== 'change') {
+    throw new Error(`Unknown capture trigger: ${trigger.mode}`);
+  }
+
+  const threshold = trigger.threshold === undefined || trigger.threshold === null || trigger.threshold === ''
+    ? DEFAULT_CHANGE_THRESHOLD
+    : Number(trigger.threshold);
+  if (!Number.isFinite(threshold) || threshold <= 0 || threshold > 100) {
+    throw new Error('Change threshold must be between 0 and 100% of the screen');
+  }
+
+  const normalized = { mode: 'change', threshold };
+  if (trigger.region) {
+    const { displayId, x, y, width, height } = trigger.region;
+    const inRange = [x, y, width, height].every(value => Number.isFinite(value) && value >= 0 && value <= 1);
+    if (!displayId || !inRange || width <= 0 || height <= 0 || x + width > 1.001 || y + height > 1.001) {
+      throw new Error('The watched region is not a valid part of a display');
+    }
+    normalized.region = { displayId: String(displayId), x, y, width, height };
+  }
+  return normalized;
+}
+
+function describeChangeTrigger(trigger) {
+  if (!trigger) return null;
+  return `on ${trigger.threshold}% change${trigger.region ? ' in region' : ''}`;
+}
+
+// Compares low resolution grabs of the screen against the last frame each
+// change-triggered session saved, per display
+class ChangeDetector {
+  constructor() {
+    // `${sessionId}:${displayId}` -> grayscale samples of the last saved frame
+    this.lastFrames = new Map();
+  }
+
+  // Grayscale samples of the image, or of the region's part of it
+  getSamples(image, region = null) {
+    const sx = region ? Math.floor(region.x * image.width) : 0;
+    const sy = region ? Math.floor(region.y * image.height) : 0;
+    const sw = Math.max(1, region ? Math.round(region.width * image.width) : image.width);
+    const sh = Math.max(1, region ? Math.round(region.height * image.height) : image.height);
+
+    const width = Math.min(SAMPLE_WIDTH, sw);
+    const height = Math.max(1, Math.round(sh * width / sw));
+    const canvas = createCanvas(width, height);
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(image, sx, sy, sw, sh, 0, 0, width, height);
+    const { data } = ctx.getImageData(0, 0, width, height);
+
+    const samples = new Uint8Array(width * height);
+    for (let i = 0; i < samples.length; i++) {
+      samples[i] = Math.round(data[i * 4] * 0.299 + data[i * 4 + 1] * 0.587 + data[i * 4 + 2] * 0.114);
+    }
+    return samples;
+  }
+
+  // Percentage (0-100) of samples that changed noticeably
+  getDiffScore(previous, samples) {
+    if (!previous || previous.length !== samples.length) {
+      return 100;
+    }
+
+    let changed = 0;
+    for (let i = 0; i < samples.length; i++) {
+      if (Math.abs(previous[i] - samples[i]) > PIXEL_TOLERANCE) {
+        changed++;
+      }
+    }
+    return Math.round(changed / samples.length * 1000) / 10;
+  }
+
+  getKey(sessionId, displayId) {
+    return `${sessionId}:${displayId}`;
+  }
+
+  // previews: [{ image, displayId }]. Returns the highest score across the
+  // displays being watched and the samples to remember if a capture follows.
+  compare(sessionId, previews, trigger) {
+    let diffScore = 0;
+    const frames = [];
+
+    for (const preview of previews) {
+      const watched = !trigger.region || trigger.region.displayId === preview.displayId;
+      if (!watched) continue;
+
+      const samples = this.getSamples(preview.image, trigger.region);
+      const key = this.getKey(sessionId, preview.displayId);
+      diffScore = Math.max(diffScore, this.getDiffScore(this.lastFrames.get(key), samples));
+      frames.push({ key, samples });
+    }
+
+    return { diffScore, changed: diffScore >= trigger.threshold, frames };
+  }
+
+  remember(frames) {
+    frames.forEach(frame => this.lastFrames.set(frame.key, frame.samples));
+  }
+
+  forgetSession(sessionId) {
+    for (const key of this.lastFrames.keys()) {
+      if (key.startsWith(`${sessionId}:`)) {
+        this.lastFrames.delete(key);
+      }
+    }
+  }
+}
+
+module.exports = {
+  ChangeDetector,
+  normalizeChangeTrigger,
+  describeChangeTrigger,
+  PREVIEW_WIDTH,
+  DEFAULT_CHANGE_THRESHOLD
+};
@@ -0,0 +1,116 @@
+const { createCanvas } = require('canvas');
+
+// dHash: each of the 1024 bits says whether a pixel of a 33x32 grayscale
+// thumbnail is brighter than its right-hand neighbour. Small changes such as a
+// blinking cursor flip few bits, so similar frames have hashes a short distance
+// apart. The grid is fine enough that editing a few lines of text still shows.
+const HASH_WIDTH = 33;
+const HASH_HEIGHT = 32;
+const HASH_BITS = (HASH_WIDTH - 1) * HASH_HEIGHT;
+
+// Shrinking straight to the hash size skips most pixels, so go through an
+// intermediate size
+const PREPASS_SIZE = 128;
+
+const DEFAULT_DEDUP_SIMILARITY = 98;
+
+// Validates capture_settings.dedup from the renderer: { similarity: 50-100 }.
+// Returns null when duplicate suppression is off.
+function normalizeDedup(dedup) {
+  if (!dedup || dedup.enabled === false) {
+    return null;
+  }
+
+  const similarity = dedup.similarity === undefined || dedup.similarity === null || dedup.similarity === ''
+    ? DEFAULT_DEDUP_SIMILARITY
+    : Number(dedup.similarity);
+  if (!Number.isFinite(similarity) || similarity < 50 || similarity > 100) {
+    throw new Error('Duplicate similarity must be between 50 and 100%');
+  }
+  return { similarity };
+}
+
+// Short description for session cards
+function describeDedup(dedup) {
+  if (!dedup) return null;
+  return `skip ${dedup.similarity}% similar`;
+}
+
+// Skips screenshots that look the same as the previous one kept for the same
+// session and display. Only the last kept frame is remembered, so a slow drift
+// still gets captured once it adds up.
+class FrameDeduplicator {
+  constructor() {
+    // `${sessionId}:${displayId}` -> { hash, captureId }
+    this.lastFrames = new Map();
+  }
+
+  computeHash(image) {
+    const prepass = createCanvas(PREPASS_SIZE, PREPASS_SIZE);
+    prepass.getContext('2d').drawImage(image, 0, 0, PREPASS_SIZE, PREPASS_SIZE);
+
+    const canvas = createCanvas(HASH_WIDTH, HASH_HEIGHT);
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(prepass, 0, 0, HASH_WIDTH, HASH_HEIGHT);
+    const { data } = ctx.getImageData(0, 0, HASH_WIDTH, HASH_HEIGHT);
+
+    const gray = (x, y) => {
+      const i = (y * HASH_WIDTH + x) * 4;
+      return data[i] * 0.299 + data[i + 1] * 0.587 + data[i + 2] * 0.114;
+    };
+
+    // Hex, four bits per character
+    let hash = '';
+    for (let y = 0; y < HASH_HEIGHT; y++) {
+      for (let x = 0; x < HASH_WIDTH - 1; x += 4) {
+        let nibble = 0;
+        for (let bit = 0; bit < 4; bit++) {
+          nibble = (nibble << 1) | (gray(x + bit, y) > gray(x + bit + 1, y) ? 1 : 0);
+        }
+        hash += nibble.toString(16);
+      }
+    }
+    return hash;
+  }
+
+  getDistance(a, b) {
+    let distance = 0;
+    for (let i = 0; i < a.length; i++) {
+      let diff = parseInt(a[i], 16) ^ parseInt(b[i], 16);
+      while (diff) {
+        distance += diff & 1;
+        diff >>= 1;
+      }
+    }
+    return distance;
+  }
+
+  getKey(sessionId, displayId) {
+    return `${sessionId}:${displayId || 'default'}`;
+  }
+
+  // The previous kept frame this one duplicates, or null if it should be saved
+  findDuplicate(sessionId, displayId, hash, dedup) {
+    const previous = this.lastFrames.get(this.getKey(sessionId, displayId));
+    if (!previous || previous.hash.length !== hash.length) {
+      return null;
+    }
+
+    const maxDistance = Math.floor(HASH_BITS * (100 - dedup.similarity) / 100);
+    return this.getDistance(previous.hash, hash) <= maxDistance ? previous : null;
+  }
+
+  remember(sessionId, displayId, hash, captureId) {
+    this.lastFrames.set(this.getKey(sessionId, displayId), { hash, captureId });
+  }
+
+  forgetSession(sessionId) {
+    for (const key of this.lastFrames.keys()) {
+      if (key.startsWith(`${sessionId}:`)) {
+        this.lastFrames.delete(key);
+      }
+    }
+  }
+}
+
+module.exports = { FrameDeduplicator, normalizeDedup, describeDedup, DEFAULT_DEDUP_SIMILARITY };
@@ -1,62 +1,176 @@
 const { v4: uuidv4 } = require('uuid');
 const { DatabaseManager } = require('../database/database-manager');
 const { CaptureManager } = require('./capture-manager');
-const { BrowserWindow } = require('electron');
+const { BrowserWindow, Notification, powerMonitor } = require('electron');
+const Store = require('electron-store');
+const {
+  normalizeSchedule,
+  isWithinSchedule,
+  getNextWindowStart,
+  getScheduleEnd,
+  describeSchedule,
+  normalizeTiming,
+  getTickOffset,
+  describeTiming,
+  normalizeIdlePolicy,
+  describeIdlePolicy
+} = require('./session-schedule');
+const { normalizeDedup, describeDedup } = require('./frame-deduplicator');
+const { normalizeChangeTrigger, describeChangeTrigger } = require('./change-detector');
+
+// Longest single timeout; waits for a distant window are re-checked at least
+// this often so clock changes don't strand a session
+const MAX_TIMER_DELAY_MS = 60 * 60 * 1000;
+
+// Counting every tick across a very long gap isn't worth it, past this the
+// schedule is ignored and the whole gap counts
+const MAX_TICKS_COUNTED = 100000;
+
+// Least time between "next capture" updates, so short intervals across
+// several sessions don't update the tray constantly
+const NEXT_CAPTURE_REFRESH_MS = 1000;
+
+// How often sessions paused for idleness check whether the user is back
+const IDLE_POLL_MS = 15 * 1000;
+
+// What happens when a session's captures keep failing, e.g. an unplugged camera
+const DEFAULT_FAILURE_POLICY = {
+  notifyAfter: 3,
+  autoPause: false
+};
 
 class IntervalManager {
-  constructor(dbManager = null) {
+  constructor(dbManager = null, captureManager = null, store = new Store()) {
     this.dbManager = dbManager || new DatabaseManager();
-    this.captureManager = new CaptureManager(this.dbManager);
+    this.store = store;
+    // Share the app's CaptureManager when given one, so there is a single
+    // thumbnail worker and one set of display/camera state
+    this.ownsCaptureManager = !captureManager;
+    this.captureManager = captureManager || new CaptureManager(this.dbManager);
     this.activeSessions = new Map();
-    this.timers = new Map();
+    // sessionId -> { timer, nextIndex }: the pending timeout and the tick it is for
+    this.schedules = new Map();
+    // Sessions with a capture in progress, so a slow one isn't overlapped
+    this.runningCaptures = new Set();
+    this.powerMonitorAttached = false;
+    this.screenLocked = false;
+    this.idleWatchTimer = null;
+    // Called when sessions start, stop or start or stop waiting for their window
+    this.changeListeners = new Set();
+    // Called when only the soonest next_capture_at moved, e.g. after each tick
+    this.nextCaptureListeners = new Set();
+    // The soonest next_capture_at the listeners were last told about
+    this.lastNextCaptureAt = null;
+    this.nextCaptureRefreshTimer = null;
   }
 
   async initialize() {
     if (!this.dbManager.db) {
       await this.dbManager.initialize();
     }
-    await this.captureManager.initialize();
+    if (this.ownsCaptureManager) {
+      await this.captureManager.initialize();
+    }
+
+    this.attachPowerMonitor();
 
     // We do NOT resume sessions automatically here anymore.
     // This is to prevent capture attempts before permissions are granted.
     // Sessions will be resumed by the main process after permission checks.
   }
 
+  // Any number of sessions can run at once; captures that need the camera are
+  // serialized by the CaptureManager's scheduler
   async startSession(config) {
     try {
-      // Check if there's already an active session
-      const activeSessions = this.getActiveSessions();
-      const activeSession = activeSessions.find(session => session.status === 'active');
+      const sessionId = uuidv4();
+      const startTime = new Date();
+
+      // Throws on a malformed schedule so the renderer can show why
+      const captureSettings = { ...(config.capture_settings || {}) };
+      const schedule = normalizeSchedule(captureSettings.schedule);
+      if (schedule) {
+        const end = getScheduleEnd(schedule, startTime);
+        const firstWindow = getNextWindowStart(schedule, startTime);
+        if (!firstWindow || (end && firstWindow >= end)) {
+          throw new Error('The schedule has no capture times left');
+        }
+        captureSettings.schedule = schedule;
+      } else {
+        delete captureSettings.schedule;
+      }
 
-      if (activeSession) {
-        throw new Error(`Cannot start new session. Another session is already active: ${activeSession.session_name || activeSession.session_id}`);
+      const timing = normalizeTiming(captureSettings.timing);
+      if (timing) {
+        captureSettings.timing = timing;
+      } else {
+        delete captureSettings.timing;
+      }
+
+      const idlePolicy = normalizeIdlePolicy(captureSettings.idle);
+      if (idlePolicy) {
+        captureSettings.idle = idlePolicy;
+      } else {
+        delete captureSettings.idle;
+      }
+
+      // Change-triggered sessions check the screen every interval and only
+      // capture when it changed
+      const trigger = normalizeChangeTrigger(captureSettings.trigger);
+      if (trigger) {
+        if (config.capture_type !== 'screenshot') {
+          throw new Error('Capturing on screen changes only works with screenshots');
+        }
+        captureSettings.trigger = trigger;
+      } else {
+        delete captureSettings.trigger;
+      }
+
+      // Only screenshots are compared, camera frames always differ a little.
+      // Change-triggered sessions never save a repeat in the first place.
+      const dedup = ['screenshot', 'both'].includes(config.capture_type) && !trigger ? normalizeDedup(captureSettings.dedup) : null;
+      if (dedup) {
+        captureSettings.dedup = dedup;
+      } else {
+        delete captureSettings.dedup;
       }
 
-      const sessionId = uuidv4();
       const sessionData = {
         session_id: sessionId,
+        start_time: startTime.toISOString(),
         session_name: config.session_name || `Session ${new Date().toLocaleString()}`,
         capture_type: config.capture_type, // 'screenshot' or 'camera'
         interval_seconds: config.interval_seconds,
         max_captures: config.max_captures || null,
         device_id: config.device_id || null,
-        capture_settings: config.capture_settings || {}
+        capture_settings: captureSettings
       };
 
       // Save session to database
       await this.dbManager.insertSession(sessionData);
 
-      // Start the interval timer
-      this.startSessionTimer(sessionId, sessionData);
-
       // Add to active sessions
       this.activeSessions.set(sessionId, {
         ...sessionData,
         status: 'active',
         capture_count: 0,
-        start_time: new Date()
+        missed_ticks: 0,
+        failure_count: 0,
+        consecutive_failures: 0,
+        last_error: null,
+        dedup_count: 0,
+        start_time: startTime,
+        schedule_summary: describeSchedule(schedule),
+        timing_summary: describeTiming(timing),
+        idle_summary: describeIdlePolicy(idlePolicy),
+        dedup_summary: describeDedup(dedup),
+        trigger_summary: describeChangeTrigger(trigger)
       });
 
+      // Start the interval timer
+      this.startSessionTimer(sessionId);
+      this.notifyChange();
+
       console.log(`Started interval session: ${sessionId}`);
       return sessionId;
     } catch (error) {
@@ -65,42 +179,557 @@ class IntervalManager {
     }
   }
 
-  startSessionTimer(sessionId, sessionData) {
-    const timer = setInterval(async () => {
-      try {
-        const session = this.activeSessions.get(sessionId);
-        if (!session || session.status !== 'active') {
-          this.clearTimer(sessionId);
-          return;
-        }
+  // Tick n of a session is due at start_time + n * interval, plus a random
+  // offset in the random and jitter timing modes. Each timeout is set for the
+  // next tick's absolute time, so slow captures and timer lag don't add up into
+  // drift, and pausing or restarting keeps the original cadence.
+  startSessionTimer(sessionId) {
+    this.clearTimer(sessionId);
+
+    const session = this.activeSessions.get(sessionId);
+    if (!session) {
+      return;
+    }
 
-        // Check if we've reached the maximum captures
-        if (sessionData.max_captures && session.capture_count >= sessionData.max_captures) {
-          await this.stopSession(sessionId);
-          return;
+    this.schedules.set(sessionId, {
+      timer: null,
+      nextIndex: this.getDueTickIndex(session) + 1,
+      // When the pending timeout fires, and the offset drawn for its tick
+      fireTime: null,
+      offsetIndex: null,
+      offset: 0
+    });
+    this.scheduleNextTick(sessionId);
+  }
+
+  getIntervalMs(session) {
+    return session.interval_seconds * 1000;
+  }
+
+  getTickTime(session, index) {
+    return new Date(session.start_time).getTime() + index * this.getIntervalMs(session);
+  }
+
+  // The latest tick whose time has come
+  getDueTickIndex(session, now = Date.now()) {
+    return Math.floor((now - new Date(session.start_time).getTime()) / this.getIntervalMs(session));
+  }
+
+  getSchedule(session) {
+    return this.getCaptureSettings(session).schedule || null;
+  }
+
+  getTiming(session) {
+    return this.getCaptureSettings(session).timing || null;
+  }
+
+  getIdlePolicy(session) {
+    return this.getCaptureSettings(session).idle || null;
+  }
+
+  // Arms the timeout for the next tick. With a schedule, ticks outside the
+  // active window are skipped over (not missed) and the session stops on its
+  // own once the schedule ends.
+  scheduleNextTick(sessionId) {
+    const schedule = this.schedules.get(sessionId);
+    const session = this.activeSessions.get(sessionId);
+    if (!schedule || !session) {
+      return;
+    }
+
+    const sessionSchedule = this.getSchedule(session);
+    const end = getScheduleEnd(sessionSchedule, session.start_time);
+    let nextTime = this.getTickTime(session, schedule.nextIndex);
+    let waiting = false;
+
+    if (sessionSchedule) {
+      const windowStart = getNextWindowStart(sessionSchedule, new Date(nextTime));
+      if (!windowStart || (end && windowStart >= end)) {
+        // No captures left, wait for the end (or stop now if it has passed)
+        this.setNextCapture(session, null, false);
+        this.armTimer(schedule, end ? end.getTime() : Date.now(), () => this.finishScheduledSession(sessionId), sessionId);
+        return;
+      }
+      if (windowStart.getTime() > nextTime) {
+        // First tick at or after the window opens, keeping the cadence
+        const startMs = new Date(session.start_time).getTime();
+        schedule.nextIndex = Math.ceil((windowStart.getTime() - startMs) / this.getIntervalMs(session));
+        nextTime = this.getTickTime(session, schedule.nextIndex);
+        waiting = true;
+      }
+    }
+
+    // Draw the offset once per tick, so re-planning a long wait doesn't re-roll it
+    if (schedule.offsetIndex !== schedule.nextIndex) {
+      schedule.offsetIndex = schedule.nextIndex;
+      schedule.offset = getTickOffset(this.getTiming(session), this.getIntervalMs(session));
+    }
+    schedule.fireTime = nextTime + schedule.offset;
+
+    this.setNextCapture(session, schedule.fireTime, waiting);
+    this.armTimer(schedule, schedule.fireTime, () => this.runTick(sessionId), sessionId);
+  }
+
+  // Long waits are split up and re-planned from scratch when they wake
+  armTimer(schedule, time, callback, sessionId) {
+    const delay = Math.max(0, time - Date.now());
+    if (delay > MAX_TIMER_DELAY_MS) {
+      schedule.timer = setTimeout(() => this.scheduleNextTick(sessionId), MAX_TIMER_DELAY_MS);
+    } else {
+      schedule.timer = setTimeout(callback, delay);
+    }
+  }
+
+  // Keeps next_capture_at for the tray and session cards. A session is waiting
+  // while it is outside its active window.
+  setNextCapture(session, time, waiting) {
+    session.next_capture_at = time === null ? null : new Date(time).toISOString();
+
+    if (waiting !== !!session.waiting) {
+      session.waiting = waiting;
+      this.notifySessionUpdate(session);
+      this.notifyChange();
+    }
+    this.refreshNextCapture();
+  }
+
+  // Tells the next capture listeners once the soonest upcoming capture moves,
+  // e.g. after each tick, so the tray's "Next capture" time doesn't go stale
+  refreshNextCapture() {
+    const next = this.getNextScheduledCapture();
+    const at = next ? next.at : null;
+    if (at === this.lastNextCaptureAt || this.nextCaptureRefreshTimer) {
+      return;
+    }
+
+    this.nextCaptureRefreshTimer = setTimeout(() => {
+      this.nextCaptureRefreshTimer = null;
+      const latest = this.getNextScheduledCapture();
+      this.lastNextCaptureAt = latest ? latest.at : null;
+      this.nextCaptureListeners.forEach(callback => {
+        try {
+          callback(latest);
+        } catch (error) {
+          console.error('Next capture listener failed:', error);
         }
+      });
+    }, NEXT_CAPTURE_REFRESH_MS);
+  }
+
+  // Ticks in [fromIndex, toIndex) that fall inside the session's schedule
+  countScheduledTicks(session, fromIndex, toIndex) {
+    const total = Math.max(0, toIndex - fromIndex);
+    const sessionSchedule = this.getSchedule(session);
+    if (!sessionSchedule || total > MAX_TICKS_COUNTED) {
+      return total;
+    }
+
+    let count = 0;
+    for (let index = fromIndex; index < toIndex; index++) {
+      if (isWithinSchedule(sessionSchedule, new Date(this.getTickTime(session, index)))) {
+        count++;
+      }
+    }
+    return count;
+  }
+
+  async finishScheduledSession(sessionId) {
+    if (!this.activeSessions.has(sessionId)) {
+      return;
+    }
+
+    console.log(`Schedule ended for session ${sessionId}`);
+    await this.recordSessionEvent(sessionId, 'schedule_ended');
+    try {
+      await this.stopSession(sessionId);
+    } catch (error) {
+      console.error(`Failed to stop scheduled session ${sessionId}:`, error);
+    }
+  }
+
+  async runTick(sessionId) {
+    const schedule = this.schedules.get(sessionId);
+    const session = this.activeSessions.get(sessionId);
+    if (!schedule || !session || session.status !== 'active') {
+      this.clearTimer(sessionId);
+      return;
+    }
+
+    const sessionSchedule = this.getSchedule(session);
+    const end = getScheduleEnd(sessionSchedule, session.start_time);
+    if (end && Date.now() >= end.getTime()) {
+      await this.finishScheduledSession(sessionId);
+      return;
+    }
+
+    // A timeout that fires late (busy main process) covers every tick since the
+    // one it was set for; only the latest is captured, the rest count as missed
+    // if they were inside the schedule
+    const behind = Math.max(0, Math.floor((Date.now() - schedule.fireTime) / this.getIntervalMs(session)));
+    const lateTicks = this.countScheduledTicks(session, schedule.nextIndex, schedule.nextIndex + behind);
+    const tickIndex = schedule.nextIndex + behind;
+    schedule.nextIndex = tickIndex + 1;
+
+    // Arm the next tick before capturing so a slow capture can't push it back
+    this.scheduleNextTick(sessionId);
+
+    if (lateTicks > 0) {
+      await this.recordMissedTicks(sessionId, lateTicks, 'late');
+    }
+
+    // Judged by when the tick is due, not when it fired: jitter can move the
+    // first tick of a window to just before it opens and the last one to just
+    // after it closes
+    if (!isWithinSchedule(sessionSchedule, new Date(this.getTickTime(session, tickIndex)))) {
+      return;
+    }
+
+    if (await this.handleIdleTick(sessionId, session, tickIndex)) {
+      return;
+    }
+
+    if (this.runningCaptures.has(sessionId)) {
+      // The previous capture is still going, skip rather than pile up
+      await this.recordMissedTicks(sessionId, 1, 'overlap');
+      return;
+    }
+
+    // Check if we've reached the maximum captures
+    if (session.max_captures && session.capture_count >= session.max_captures) {
+      await this.stopSession(sessionId);
+      return;
+    }
+
+    this.runningCaptures.add(sessionId);
+    try {
+      await this.performCapture(sessionId, session);
+    } catch (error) {
+      console.error(`Interval capture failed for session ${sessionId}:`, error);
+      // Continue the session unless the failure policy pauses it
+      await this.recordFailure(sessionId, error);
+    } finally {
+      this.runningCaptures.delete(sessionId);
+    }
+  }
+
+  // Why the user counts as away, or null if they are here: 'locked' or 'idle'
+  getAwayReason(idlePolicy) {
+    if (this.screenLocked) {
+      return 'locked';
+    }
+    try {
+      if (powerMonitor.getSystemIdleTime() >= idlePolicy.thresholdMinutes * 60) {
+        return 'idle';
+      }
+    } catch (error) {
+      console.error('Failed to read system idle time:', error);
+    }
+    return null;
+  }
+
+  // Applies the session's idle policy to a tick. Returns true when the tick is
+  // skipped. Skipped ticks are not missed; they are summed up and logged as one
+  // 'skipped_idle' event when the user comes back.
+  async handleIdleTick(sessionId, session, tickIndex) {
+    const idlePolicy = this.getIdlePolicy(session);
+    if (!idlePolicy) {
+      return false;
+    }
+
+    const reason = this.getAwayReason(idlePolicy);
+    if (!reason) {
+      await this.endIdlePeriod(sessionId);
+      return false;
+    }
+
+    if (!session.idle) {
+      console.log(`User ${reason}, session ${sessionId} going idle (${idlePolicy.action})`);
+      session.idle = { from: new Date().toISOString(), reason, skipped: 0 };
+      this.notifySessionUpdate(session);
+    }
+
+    if (idlePolicy.action === 'pause') {
+      session.idle.skipped++;
+      session.idle_paused = true;
+      session.idle_paused_index = tickIndex;
+      // Kept with the event so an idle pause survives a restart, see restoreIdlePause
+      await this.pauseSession(sessionId, {
+        reason: 'idle',
+        away: session.idle.reason,
+        idle_from: session.idle.from,
+        tick_index: tickIndex
+      });
+      this.startIdleWatch();
+      return true;
+    }
+
+    if (idlePolicy.action === 'slow' && tickIndex % idlePolicy.slowFactor === 0) {
+      return false;
+    }
+
+    session.idle.skipped++;
+    return true;
+  }
+
+  async endIdlePeriod(sessionId) {
+    const session = this.activeSessions.get(sessionId);
+    if (!session || !session.idle) {
+      return;
+    }
+
+    const idle = session.idle;
+    session.idle = null;
+    this.notifySessionUpdate(session);
+
+    if (idle.skipped > 0) {
+      await this.recordSessionEvent(sessionId, 'skipped_idle', {
+        from: idle.from,
+        to: new Date().toISOString(),
+        count: idle.skipped,
+        reason: idle.reason
+      });
+    }
+  }
+
+  // Polls while any session is paused for idleness and resumes it once the
+  // user is back. Unlocking the screen triggers a check straight away.
+  startIdleWatch() {
+    if (!this.idleWatchTimer) {
+      this.idleWatchTimer = setInterval(() => this.checkIdleSessions(), IDLE_POLL_MS);
+    }
+  }
+
+  // A session loaded back paused is idle-paused if its last pause was for
+  // idleness, so it resumes on its own once the user is back
+  async restoreIdlePause(session) {
+    const events = await this.dbManager.getSessionEvents(session.session_id);
+    const last = events.filter(event => event.event_type === 'paused' || event.event_type === 'resumed').pop();
+    if (!last || last.event_type !== 'paused') {
+      return false;
+    }
+
+    let details = null;
+    try {
+      details = last.details ? JSON.parse(last.details) : null;
+    } catch (error) {
+      return false;
+    }
+    if (!details || details.reason !== 'idle') {
+      return false;
+    }
 
-        // Perform the capture
-        await this.performCapture(sessionId, sessionData);
+    session.idle_paused = true;
+    session.idle_paused_index = Number.isInteger(details.tick_index) ? details.tick_index : this.getDueTickIndex(session);
+    session.idle = { from: details.idle_from || last.occurred_at, reason: details.away || 'idle', skipped: 1 };
+    return true;
+  }
+
+  async checkIdleSessions() {
+    const idlePaused = this.getActiveSessions().filter(session => session.idle_paused);
+    if (idlePaused.length === 0) {
+      clearInterval(this.idleWatchTimer);
+      this.idleWatchTimer = null;
+      return;
+    }
 
-        // We don't need to manually update capture count here anymore
-        // since performCapture now calls updateSessionCaptureCount
+    for (const session of idlePaused) {
+      if (this.getAwayReason(this.getIdlePolicy(session))) continue;
 
+      try {
+        // Every tick while paused counts as skipped, the paused one included
+        if (session.idle) {
+          session.idle.skipped = this.countScheduledTicks(session, session.idle_paused_index, this.getDueTickIndex(session) + 1);
+        }
+        await this.resumeSession(session.session_id);
       } catch (error) {
-        console.error(`Interval capture failed for session ${sessionId}:`, error);
-        // Continue the session even if one capture fails
+        console.error(`Failed to resume idle session ${session.session_id}:`, error);
       }
-    }, sessionData.interval_seconds * 1000);
+    }
+  }
 
-    this.timers.set(sessionId, timer);
+  getFailurePolicy() {
+    const policy = this.store.get('sessionFailurePolicy') || {};
+    const notifyAfter = parseInt(policy.notifyAfter);
+    return {
+      notifyAfter: notifyAfter > 0 ? notifyAfter : DEFAULT_FAILURE_POLICY.notifyAfter,
+      autoPause: policy.autoPause === undefined ? DEFAULT_FAILURE_POLICY.autoPause : !!policy.autoPause
+    };
+  }
+
+  // Counts the failure, logs its message to the session's history and, once
+  // the streak reaches the policy's limit, tells the user and maybe pauses
+  async recordFailure(sessionId, error) {
+    const session = this.activeSessions.get(sessionId);
+    if (!session) {
+      return;
+    }
+
+    const message = error && error.message ? error.message : String(error);
+    session.failure_count = (session.failure_count || 0) + 1;
+    session.consecutive_failures = (session.consecutive_failures || 0) + 1;
+    session.last_error = message;
+    this.notifySessionUpdate(session);
+
+    try {
+      await this.dbManager.recordSessionFailure(sessionId, message);
+    } catch (dbError) {
+      console.error(`Failed to record capture failure for ${sessionId}:`, dbError);
+    }
+    await this.recordSessionEvent(sessionId, 'failure', {
+      error: message,
+      consecutive: session.consecutive_failures
+    });
+
+    const policy = this.getFailurePolicy();
+    if (session.consecutive_failures !== policy.notifyAfter) {
+      return;
+    }
+
+    let paused = false;
+    if (policy.autoPause && session.status === 'active') {
+      try {
+        await this.pauseSession(sessionId);
+        await this.recordSessionEvent(sessionId, 'auto_paused', { reason: 'failures', consecutive: session.consecutive_failures });
+        paused = true;
+      } catch (pauseError) {
+        console.error(`Failed to auto-pause session ${sessionId}:`, pauseError);
+      }
+    }
+
+    this.notifyFailures(session, paused);
+  }
+
+  // A capture went through, so the failure streak is over
+  async clearFailureStreak(sessionId) {
+    const session = this.activeSessions.get(sessionId);
+    if (!session || !session.consecutive_failures) {
+      return;
+    }
+
+    session.consecutive_failures = 0;
+    try {
+      await this.dbManager.updateSession(sessionId, { consecutive_failures: 0 });
+    } catch (error) {
+      console.error(`Failed to reset failure streak for ${sessionId}:`, error);
+    }
+  }
+
+  notifyFailures(session, paused) {
+    const name = session.session_name || session.session_id;
+    const message = `${session.consecutive_failures} captures in a row failed for "${name}"` +
+      `${paused ? ', so it was paused' : ''}. Last error: ${session.last_error}`;
+    console.warn(message);
+
+    try {
+      if (Notification.isSupported()) {
+        new Notification({ title: paused ? 'Interval session paused' : 'Interval captures failing', body: message }).show();
+      }
+
+      BrowserWindow.getAllWindows().forEach(window => {
+        window.webContents.send('session-failure-alert', {
+          session_id: session.session_id,
+          consecutive_failures: session.consecutive_failures,
+          last_error: session.last_error,
+          paused,
+          message
+        });
+      });
+    } catch (error) {
+      console.error('Failed to send session failure alert:', error);
+    }
+  }
+
+  async recordMissedTicks(sessionId, count, reason) {
+    console.warn(`Session ${sessionId} missed ${count} tick${count === 1 ? '' : 's'} (${reason})`);
+
+    const session = this.activeSessions.get(sessionId);
+    if (session) {
+      session.missed_ticks = (session.missed_ticks || 0) + count;
+      this.notifySessionUpdate(session);
+    }
+
+    try {
+      await this.dbManager.addSessionMissedTicks(sessionId, count);
+      await this.recordSessionEvent(sessionId, 'missed', { count, reason });
+    } catch (error) {
+      console.error(`Failed to record missed ticks for ${sessionId}:`, error);
+    }
+  }
+
+  async recordSessionEvent(sessionId, eventType, details = null) {
+    try {
+      await this.dbManager.insertSessionEvent({ session_id: sessionId, event_type: eventType, details });
+    } catch (error) {
+      console.error(`Failed to record ${eventType} event for ${sessionId}:`, error);
+    }
+  }
+
+  // Timers don't run while the machine sleeps. Stop them on suspend and, on
+  // resume, count the ticks that passed as missed and pick up the cadence again.
+  attachPowerMonitor() {
+    if (this.powerMonitorAttached) {
+      return;
+    }
+    this.powerMonitorAttached = true;
+
+    powerMonitor.on('suspend', () => this.handleSuspend());
+    powerMonitor.on('resume', () => this.handleResume());
+
+    // Sessions with an idle policy treat a locked screen as away
+    powerMonitor.on('lock-screen', () => {
+      this.screenLocked = true;
+    });
+    powerMonitor.on('unlock-screen', () => {
+      this.screenLocked = false;
+      this.checkIdleSessions();
+    });
+  }
+
+  handleSuspend() {
+    console.log('System suspending, holding interval timers');
+    this.suspendedAt = Date.now();
+
+    for (const schedule of this.schedules.values()) {
+      clearTimeout(schedule.timer);
+      schedule.timer = null;
+    }
+  }
+
+  async handleResume() {
+    const suspendedAt = this.suspendedAt;
+    this.suspendedAt = null;
+    console.log('System resumed, restarting interval timers');
+
+    for (const [sessionId, schedule] of this.schedules) {
+      const session = this.activeSessions.get(sessionId);
+      if (!session || session.status !== 'active') continue;
+
+      clearTimeout(schedule.timer);
+
+      const dueIndex = this.getDueTickIndex(session);
+      const missed = this.countScheduledTicks(session, schedule.nextIndex, dueIndex + 1);
+      schedule.nextIndex = Math.max(schedule.nextIndex, dueIndex + 1);
+      this.scheduleNextTick(sessionId);
+
+      if (missed > 0) {
+        await this.recordMissedTicks(sessionId, missed, 'suspended');
+      }
+      if (suspendedAt) {
+        await this.recordSessionEvent(sessionId, 'suspended', {
+          from: new Date(suspendedAt).toISOString(),
+          to: new Date().toISOString()
+        });
+      }
+    }
   }
 
   async performCapture(sessionId, sessionData) {
     try {
       let result;
+      const captureSettings = this.getCaptureSettings(sessionData);
 
       if (sessionData.capture_type === 'screenshot') {
-        result = await this.captureManager.captureForInterval(sessionId, 'screenshot');
+        result = await this.captureManager.captureForInterval(sessionId, 'screenshot', null, captureSettings);
       } else if (sessionData.capture_type === 'camera') {
         result = await this.captureManager.captureForInterval(
           sessionId,
@@ -111,7 +740,8 @@ class IntervalManager {
         result = await this.captureManager.captureForInterval(
           sessionId,
           'both',
-          sessionData.device_id
+          sessionData.device_id,
+          captureSettings
         );
       } else if (sessionData.capture_type === 'composite') {
         result = await this.captureManager.captureForInterval(
@@ -123,8 +753,33 @@ class IntervalManager {
         throw new Error(`Unknown capture type: ${sessionData.capture_type}`);
       }
 
+      // Some capture paths report errors in the result instead of throwing
+      if (!result || result.success === false) {
+        throw new Error(result && result.error ? result.error : 'Capture returned no result');
+      }
+
+      // The screen didn't change enough since the last capture of a
+      // change-triggered session
+      if (result.unchanged) {
+        await this.clearFailureStreak(sessionId);
+        return result;
+      }
+
+      // Near-duplicate screenshots skipped, on some displays or all of them
+      const duplicates = result.duplicates || (result.deduplicated ? [result] : []);
+      for (const duplicate of duplicates) {
+        await this.recordDuplicate(sessionId, duplicate.duplicate_of);
+      }
+
+      // Nothing new was saved
+      if (result.deduplicated) {
+        await this.clearFailureStreak(sessionId);
+        return result;
+      }
+
       // Update session capture count in memory and database
       await this.updateSessionCaptureCount(sessionId);
+      await this.clearFailureStreak(sessionId);
 
       console.log(`Interval capture completed for session ${sessionId}: ${result.filename}`);
       return result;
@@ -134,6 +789,39 @@ class IntervalManager {
     }
   }
 
+  // capture_settings is an object for sessions started in this run and a JSON string
+  // for sessions loaded back from the database
+  getCaptureSettings(sessionData) {
+    if (!sessionData.capture_settings) {
+      return {};
+    }
+
+    if (typeof sessionData.capture_settings === 'string') {
+      try {
+        return JSON.parse(sessionData.capture_settings);
+      } catch (error) {
+        console.error(`Invalid capture settings for session ${sessionData.session_id}:`, error);
+        return {};
+      }
+    }
+
+    return sessionData.capture_settings;
+  }
+
+  async recordDuplicate(sessionId, captureId) {
+    try {
+      await this.dbManager.recordDuplicateFrame(sessionId, captureId);
+    } catch (error) {
+      console.error(`Failed to record duplicate frame for session ${sessionId}:`, error);
+    }
+
+    const session = this.activeSessions.get(sessionId);
+    if (session) {
+      session.dedup_count = (session.dedup_count || 0) + 1;
+      this.notifySessionUpdate(session);
+    }
+  }
+
   // New method to update session capture count consistently
   async updateSessionCaptureCount(sessionId) {
     try {
@@ -171,7 +859,44 @@ class IntervalManager {
     }
   }
 
-  async pauseSession(sessionId) {
+  // Lets the main process refresh the tray when sessions change on their own,
+  // e.g. a schedule ending or a window opening. Returns an unsubscribe function.
+  onChange(callback) {
+    this.changeListeners.add(callback);
+    return () => this.changeListeners.delete(callback);
+  }
+
+  // Lighter than onChange, for showing the next capture time. Returns an
+  // unsubscribe function.
+  onNextCaptureChange(callback) {
+    this.nextCaptureListeners.add(callback);
+    return () => this.nextCaptureListeners.delete(callback);
+  }
+
+  notifyChange() {
+    this.changeListeners.forEach(callback => {
+      try {
+        callback();
+      } catch (error) {
+        console.error('Session change listener failed:', error);
+      }
+    });
+  }
+
+  // The soonest upcoming capture across running sessions, for the tray
+  getNextScheduledCapture() {
+    let next = null;
+    for (const session of this.activeSessions.values()) {
+      if (session.status !== 'active' || !session.next_capture_at) continue;
+      if (!next || session.next_capture_at < next.at) {
+        next = { at: session.next_capture_at, session };
+      }
+    }
+    return next;
+  }
+
+  // details go into the 'paused' event, e.g. { reason: 'idle' }
+  async pauseSession(sessionId, details = null) {
     try {
       const session = this.activeSessions.get(sessionId);
       if (!session) {
@@ -187,6 +912,9 @@ class IntervalManager {
 
       // Update database
       await this.dbManager.updateSession(sessionId, { status: 'paused' });
+      await this.recordSessionEvent(sessionId, 'paused', details);
+      this.notifySessionUpdate(session);
+      this.notifyChange();
 
       console.log(`Paused interval session: ${sessionId}`);
     } catch (error) {
@@ -206,23 +934,26 @@ class IntervalManager {
         throw new Error(`Session is not paused: ${sessionId}`);
       }
 
-      // Check if there's already another active session
-      const activeSessions = this.getActiveSessions();
-      const activeSession = activeSessions.find(s => s.status === 'active' && s.session_id !== sessionId);
-
-      if (activeSession) {
-        throw new Error(`Cannot resume session. Another session is already active: ${activeSession.session_name || activeSession.session_id}`);
-      }
-
       // Update session status
       session.status = 'active';
       this.activeSessions.set(sessionId, session);
 
-      // Restart the timer
-      this.startSessionTimer(sessionId, session);
+      // A resumed session gets a fresh failure streak, so a session paused for
+      // failing is flagged again if it still fails
+      await this.clearFailureStreak(sessionId);
+
+      // Resuming by hand ends an idle pause too
+      session.idle_paused = false;
+      await this.endIdlePeriod(sessionId);
+
+      // Restart the timer; ticks while paused aren't missed, the cadence just continues
+      this.startSessionTimer(sessionId);
 
       // Update database
       await this.dbManager.updateSession(sessionId, { status: 'active' });
+      await this.recordSessionEvent(sessionId, 'resumed');
+      this.notifySessionUpdate(session);
+      this.notifyChange();
 
       console.log(`Resumed interval session: ${sessionId}`);
     } catch (error) {
@@ -240,6 +971,9 @@ class IntervalManager {
 
       // Clear the timer
       this.clearTimer(sessionId);
+      await this.endIdlePeriod(sessionId);
+      this.captureManager.deduplicator.forgetSession(sessionId);
+      this.captureManager.changeDetector.forgetSession(sessionId);
 
       // Remove from active sessions
       this.activeSessions.delete(sessionId);
@@ -249,6 +983,8 @@ class IntervalManager {
         status: 'completed',
         end_time: new Date().toISOString()
       });
+      this.notifySessionUpdate({ ...session, status: 'completed', next_capture_at: null, waiting: false });
+      this.notifyChange();
 
       console.log(`Stopped interval session: ${sessionId}`);
     } catch (error) {
@@ -258,10 +994,10 @@ class IntervalManager {
   }
 
   clearTimer(sessionId) {
-    const timer = this.timers.get(sessionId);
-    if (timer) {
-      clearInterval(timer);
-      this.timers.delete(sessionId);
+    const schedule = this.schedules.get(sessionId);
+    if (schedule) {
+      clearTimeout(schedule.timer);
+      this.schedules.delete(sessionId);
     }
   }
 
@@ -274,10 +1010,24 @@ class IntervalManager {
     return activeSessions.some(session => session.status === 'active');
   }
 
+  getRunningSessionCount() {
+    return this.getActiveSessions().filter(session => session.status === 'active').length;
+  }
+
   getSession(sessionId) {
     return this.activeSessions.get(sessionId);
   }
 
+  // Pins a session (running or finished) so retention never deletes its captures
+  async setKeepForever(sessionId, keepForever) {
+    await this.dbManager.setSessionKeepForever(sessionId, keepForever);
+
+    const session = this.activeSessions.get(sessionId);
+    if (session) {
+      session.keep_forever = keepForever ? 1 : 0;
+    }
+  }
+
   async resumeActiveSessions() {
     try {
       const activeSessions = await this.dbManager.getActiveSessions();
@@ -286,15 +1036,23 @@ class IntervalManager {
         // Add to active sessions map
         this.activeSessions.set(sessionData.session_id, {
           ...sessionData,
-          start_time: new Date(sessionData.start_time)
+          start_time: new Date(sessionData.start_time),
+          schedule_summary: describeSchedule(this.getSchedule(sessionData)),
+          timing_summary: describeTiming(this.getTiming(sessionData)),
+          idle_summary: describeIdlePolicy(this.getIdlePolicy(sessionData)),
+          dedup_summary: describeDedup(this.getCaptureSettings(sessionData).dedup),
+          trigger_summary: describeChangeTrigger(this.getCaptureSettings(sessionData).trigger)
         });
 
         // Only restart timers for active sessions (not paused ones)
         if (sessionData.status === 'active') {
-          this.startSessionTimer(sessionData.session_id, sessionData);
+          this.startSessionTimer(sessionData.session_id);
+        } else if (await this.restoreIdlePause(this.activeSessions.get(sessionData.session_id))) {
+          this.startIdleWatch();
         }
       }
 
+      this.notifyChange();
       console.log(`Resumed ${activeSessions.length} active sessions`);
     } catch (error) {
       console.error('Failed to resume active sessions:', error);
@@ -341,6 +1099,12 @@ class IntervalManager {
       capture_type: session.capture_type,
       interval_seconds: session.interval_seconds,
       capture_count: session.capture_count,
+      success_count: session.capture_count,
+      failure_count: session.failure_count || 0,
+      consecutive_failures: session.consecutive_failures || 0,
+      last_error: session.last_error || null,
+      missed_ticks: session.missed_ticks || 0,
+      dedup_count: session.dedup_count || 0,
       max_captures: session.max_captures,
       elapsed_seconds: elapsed,
       estimated_total: estimatedTotal,
@@ -350,4 +1114,4 @@ class IntervalManager {
   }
 }
 
-module.exports = { IntervalManager }; 
\ No newline at end of file
+module.exports = { IntervalManager, DEFAULT_FAILURE_POLICY }; 
\ No newline at end of file
@@ -0,0 +1,194 @@
+// Finished interval sessions for the history page: the list, one session's
+// timeline (captures, gaps and logged events) and whole-session edits.
+const SESSION_TAG_SEPARATOR = ',';
+
+// Spacing between captures beyond this many intervals counts as a gap. Random
+// timing can put two captures almost two intervals apart on its own.
+const GAP_INTERVALS = 2;
+
+class SessionHistory {
+  constructor(dbManager, fileManager, intervalManager) {
+    this.dbManager = dbManager;
+    this.fileManager = fileManager;
+    this.intervalManager = intervalManager;
+  }
+
+  async getSessions() {
+    const sessions = await this.dbManager.getSessionHistory();
+    return sessions.map(session => ({ ...session, tags: this.parseTags(session.tags) }));
+  }
+
+  async getDetail(sessionId) {
+    const session = await this.dbManager.getSession(sessionId);
+    if (!session) {
+      throw new Error(`Session not found: ${sessionId}`);
+    }
+
+    const captures = (await this.dbManager.getCaptures({ session_id: sessionId }))
+      .reverse()
+      .map(capture => ({
+        id: capture.id,
+        filename: capture.filename,
+        filepath: capture.filepath,
+        thumbnail_path: capture.thumbnail_path,
+        capture_type: capture.capture_type,
+        timestamp: capture.timestamp,
+        file_size: capture.file_size,
+        repeat_count: capture.repeat_count || 0,
+        diff_score: capture.diff_score
+      }));
+
+    const events = (await this.dbManager.getSessionEvents(sessionId)).map(event => ({
+      ...event,
+      details: this.parseDetails(event.details)
+    }));
+
+    const pauses = this.getPauses(events, session);
+
+    return {
+      session: { ...session, tags: this.parseTags(session.tags) },
+      captures,
+      events,
+      pauses,
+      gaps: this.getGaps(captures, session, pauses),
+      totalSize: captures.reduce((sum, capture) => sum + (capture.file_size || 0), 0)
+    };
+  }
+
+  // Paused/resumed pairs, sleep and time away, as { from, to, reason } spans
+  getPauses(events, session) {
+    const pauses = [];
+    let paused = null;
+
+    events.forEach(event => {
+      if (event.event_type === 'paused') {
+        paused = { from: event.occurred_at, reason: event.details && event.details.reason === 'idle' ? 'idle' : 'paused' };
+      } else if (event.event_type === 'resumed' && paused) {
+        pauses.push({ ...paused, to: event.occurred_at });
+        paused = null;
+      } else if (event.event_type === 'suspended' && event.details) {
+        pauses.push({ from: event.details.from, to: event.details.to, reason: 'suspended' });
+      } else if (event.event_type === 'skipped_idle' && event.details) {
+        pauses.push({ from: event.details.from, to: event.details.to, reason: 'idle' });
+      }
+    });
+
+    // Stopped while paused
+    if (paused) {
+      pauses.push({ ...paused, to: session.end_time || new Date().toISOString() });
+    }
+    return pauses;
+  }
+
+  // Stretches between captures much longer than the interval. Each gap notes
+  // whether a pause, sleep, time away or skipped duplicates explain it, so the
+  // timeline can tell them apart.
+  getGaps(captures, session, pauses) {
+    const intervalMs = session.interval_seconds * 1000;
+    if (!intervalMs) {
+      return [];
+    }
+
+    // Change-triggered sessions only capture when something changed
+    const settings = this.parseDetails(session.capture_settings);
+    const onChange = Boolean(settings && settings.trigger);
+
+    const gaps = [];
+    for (let i = 1; i < captures.length; i++) {
+      const from = this.fileManager.parseCaptureTimestamp(captures[i - 1].timestamp);
+      const to = this.fileManager.parseCaptureTimestamp(captures[i].timestamp);
+      const duration = to - from;
+      if (duration <= intervalMs * GAP_INTERVALS) continue;
+
+      const overlapping = pauses.find(pause => new Date(pause.from) < to && new Date(pause.to) > from);
+      gaps.push({
+        afterCaptureId: captures[i - 1].id,
+        from: from.toISOString(),
+        to: to.toISOString(),
+        durationMs: duration,
+        reason: overlapping ? overlapping.reason : onChange || captures[i - 1].repeat_count > 0 ? 'unchanged' : null
+      });
+    }
+    return gaps;
+  }
+
+  async updateDetails(sessionId, updates = {}) {
+    const changes = {};
+    if (updates.session_name !== undefined) {
+      const name = String(updates.session_name || '').trim();
+      if (!name) {
+        throw new Error('Session name cannot be empty');
+      }
+      changes.session_name = name;
+    }
+    if (updates.tags !== undefined) {
+      changes.tags = this.formatTags(updates.tags);
+    }
+    if (Object.keys(changes).length === 0) {
+      return;
+    }
+
+    await this.dbManager.updateSession(sessionId, changes);
+
+    // Keep a running session's in-memory copy in step
+    const active = this.intervalManager.getSession(sessionId);
+    if (active) {
+      Object.assign(active, changes);
+      this.intervalManager.notifySessionUpdate(active);
+      this.intervalManager.notifyChange();
+    }
+  }
+
+  // Moves the session's captures to the trash and forgets the session and its
+  // history. Running sessions have to be stopped first.
+  async deleteSession(sessionId) {
+    if (this.intervalManager.getSession(sessionId)) {
+      throw new Error('Stop the session before deleting it');
+    }
+    if (this.dbManager.degraded) {
+      throw new Error('Deleting sessions is unavailable while the database is offline');
+    }
+
+    const session = await this.dbManager.getSession(sessionId);
+    if (!session) {
+      throw new Error(`Session not found: ${sessionId}`);
+    }
+
+    const captures = await this.dbManager.getCaptures({ session_id: sessionId });
+    const result = captures.length > 0
+      ? await this.fileManager.deleteCaptures({ ids: captures.map(capture => capture.id) })
+      : { deletedIds: [], errors: [] };
+
+    if (result.errors.length > 0) {
+      // Keep the session so the captures that are left still belong somewhere
+      throw new Error(`${result.errors.length} captures could not be deleted: ${result.errors[0].error}`);
+    }
+
+    await this.dbManager.deleteSession(sessionId);
+    console.log(`Deleted session ${sessionId} and moved ${result.deletedIds.length} captures to trash`);
+    return { trashed: result.deletedIds.length };
+  }
+
+  parseTags(tags) {
+    if (!tags) return [];
+    return tags.split(SESSION_TAG_SEPARATOR).map(tag => tag.trim()).filter(Boolean);
+  }
+
+  // Accepts an array or a comma separated string, stores a de-duplicated list
+  formatTags(tags) {
+    const list = Array.isArray(tags) ? tags : String(tags || '').split(SESSION_TAG_SEPARATOR);
+    const unique = [...new Set(list.map(tag => String(tag).trim()).filter(Boolean))];
+    return unique.length > 0 ? unique.join(SESSION_TAG_SEPARATOR) : null;
+  }
+
+  parseDetails(details) {
+    if (!details) return null;
+    try {
+      return JSON.parse(details);
+    } catch (error) {
+      return details;
+    }
+  }
+}
+
+module.exports = { SessionHistory };
@@ -0,0 +1,287 @@
+// Schedules for interval sessions, stored as capture_settings.schedule:
+//   activeHours: { start: 'HH:MM', end: 'HH:MM' }  captures only inside this window
+//                                                  (end before start spans midnight)
+//   weekdays: [0-6]                                 0 is Sunday, days the window opens on
+//   startDate / endDate: 'YYYY-MM-DD'              first and last day, inclusive
+//   durationMinutes: number                         stop this long after the session starts
+// Every field is optional. All times are local.
+//
+// Timing, stored as capture_settings.timing, sets where in each interval the
+// capture lands:
+//   { mode: 'fixed' }                       on the interval boundary (default)
+//   { mode: 'random' }                      anywhere in the interval, uniformly
+//   { mode: 'jitter', jitterPercent: N }    boundary ± up to N% of the interval
+//
+// Idle handling, stored as capture_settings.idle, applies once the screen is
+// locked or there has been no input for thresholdMinutes:
+//   { action: 'skip' }                      no captures until the user is back
+//   { action: 'pause' }                     pause the session, resume on return
+//   { action: 'slow', slowFactor: N }       capture only every Nth tick
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// How far ahead to look for the next window before giving up
+const MAX_LOOKAHEAD_DAYS = 400;
+
+const TIMING_MODES = ['fixed', 'random', 'jitter'];
+const IDLE_ACTIONS = ['skip', 'pause', 'slow'];
+const DEFAULT_IDLE_THRESHOLD_MINUTES = 5;
+const DEFAULT_IDLE_SLOW_FACTOR = 4;
+// Beyond half an interval, neighbouring captures could swap order
+const MAX_JITTER_PERCENT = 50;
+
+// Validates a schedule from the renderer. Returns null when nothing is set and
+// throws with a readable message when something is malformed.
+function normalizeSchedule(schedule) {
+  if (!schedule) {
+    return null;
+  }
+
+  const normalized = {};
+
+  if (schedule.activeHours && (schedule.activeHours.start || schedule.activeHours.end)) {
+    const { start, end } = schedule.activeHours;
+    if (!TIME_PATTERN.test(start || '') || !TIME_PATTERN.test(end || '')) {
+      throw new Error('Active hours need a start and end time as HH:MM');
+    }
+    if (start === end) {
+      throw new Error('Active hours start and end must be different');
+    }
+    normalized.activeHours = { start, end };
+  }
+
+  if (Array.isArray(schedule.weekdays) && schedule.weekdays.length > 0) {
+    const weekdays = [...new Set(schedule.weekdays.map(Number))]
+      .filter(day => Number.isInteger(day) && day >= 0 && day <= 6)
+      .sort();
+    if (weekdays.length === 0) {
+      throw new Error('Weekdays must be numbers from 0 (Sunday) to 6 (Saturday)');
+    }
+    if (weekdays.length < 7) {
+      normalized.weekdays = weekdays;
+    }
+  }
+
+  ['startDate', 'endDate'].forEach(key => {
+    if (schedule[key]) {
+      if (!DATE_PATTERN.test(schedule[key]) || isNaN(parseLocalDate(schedule[key]).getTime())) {
+        throw new Error(`${key === 'startDate' ? 'Start' : 'End'} date must be YYYY-MM-DD`);
+      }
+      normalized[key] = schedule[key];
+    }
+  });
+
+  if (normalized.startDate && normalized.endDate && normalized.endDate < normalized.startDate) {
+    throw new Error('End date is before the start date');
+  }
+
+  if (schedule.durationMinutes) {
+    const minutes = Number(schedule.durationMinutes);
+    if (!Number.isFinite(minutes) || minutes <= 0) {
+      throw new Error('Duration must be a positive number of minutes');
+    }
+    normalized.durationMinutes = minutes;
+  }
+
+  return Object.keys(normalized).length > 0 ? normalized : null;
+}
+
+function parseLocalDate(dateString) {
+  const [year, month, day] = dateString.split('-').map(Number);
+  return new Date(year, month - 1, day);
+}
+
+function formatLocalDate(date) {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+function atTime(day, time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return new Date(day.getFullYear(), day.getMonth(), day.getDate(), hours, minutes);
+}
+
+function addDays(day, days) {
+  return new Date(day.getFullYear(), day.getMonth(), day.getDate() + days);
+}
+
+// The capture window that opens on the given day, or null if none does
+function getWindowForDay(schedule, day) {
+  const dateString = formatLocalDate(day);
+  if (schedule.startDate && dateString < schedule.startDate) return null;
+  if (schedule.endDate && dateString > schedule.endDate) return null;
+  if (schedule.weekdays && !schedule.weekdays.includes(day.getDay())) return null;
+
+  if (!schedule.activeHours) {
+    return { start: day, end: addDays(day, 1) };
+  }
+
+  const { start, end } = schedule.activeHours;
+  return {
+    start: atTime(day, start),
+    end: end > start ? atTime(day, end) : atTime(addDays(day, 1), end)
+  };
+}
+
+function startOfDay(date) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+}
+
+// When the session stops for good: the earlier of start + duration and the end
+// of endDate. Null if it runs until stopped.
+function getScheduleEnd(schedule, sessionStart) {
+  if (!schedule) {
+    return null;
+  }
+
+  const ends = [];
+  if (schedule.durationMinutes) {
+    ends.push(new Date(new Date(sessionStart).getTime() + schedule.durationMinutes * 60 * 1000));
+  }
+  if (schedule.endDate) {
+    const lastDay = parseLocalDate(schedule.endDate);
+    // A window opening on the last day may run past midnight
+    const lastWindow = getWindowForDay(schedule, lastDay);
+    ends.push(lastWindow ? lastWindow.end : addDays(lastDay, 1));
+  }
+
+  return ends.length > 0 ? new Date(Math.min(...ends.map(end => end.getTime()))) : null;
+}
+
+function isWithinSchedule(schedule, date) {
+  if (!schedule) {
+    return true;
+  }
+
+  // The window that contains date opened today or, overnight, yesterday
+  const today = startOfDay(date);
+  return [addDays(today, -1), today].some(day => {
+    const window = getWindowForDay(schedule, day);
+    return window && date >= window.start && date < window.end;
+  });
+}
+
+// The first moment at or after `from` inside the schedule, or null if there is none
+function getNextWindowStart(schedule, from) {
+  if (!schedule || isWithinSchedule(schedule, from)) {
+    return from;
+  }
+
+  const today = startOfDay(from);
+  for (let offset = 0; offset <= MAX_LOOKAHEAD_DAYS; offset++) {
+    const window = getWindowForDay(schedule, addDays(today, offset));
+    if (window && window.end > from) {
+      return window.start > from ? window.start : from;
+    }
+  }
+  return null;
+}
+
+// Returns null for the default fixed timing
+function normalizeTiming(timing) {
+  if (!timing || !timing.mode || timing.mode === 'fixed') {
+    return null;
+  }
+  if (!TIMING_MODES.includes(timing.mode)) {
+    throw new Error(`Unknown timing mode: ${timing.mode}`);
+  }
+  if (timing.mode === 'random') {
+    return { mode: 'random' };
+  }
+
+  const jitterPercent = Number(timing.jitterPercent);
+  if (!Number.isFinite(jitterPercent) || jitterPercent <= 0 || jitterPercent > MAX_JITTER_PERCENT) {
+    throw new Error(`Jitter must be between 1 and ${MAX_JITTER_PERCENT}% of the interval`);
+  }
+  return { mode: 'jitter', jitterPercent };
+}
+
+// Milliseconds from a tick's boundary to when its capture fires
+function getTickOffset(timing, intervalMs, random = Math.random) {
+  if (!timing) {
+    return 0;
+  }
+  if (timing.mode === 'random') {
+    return Math.floor(random() * intervalMs);
+  }
+  if (timing.mode === 'jitter') {
+    return Math.round((random() * 2 - 1) * (timing.jitterPercent / 100) * intervalMs);
+  }
+  return 0;
+}
+
+// Returns null when idle time should be ignored (the default)
+function normalizeIdlePolicy(idle) {
+  if (!idle || !idle.action || idle.action === 'none') {
+    return null;
+  }
+  if (!IDLE_ACTIONS.includes(idle.action)) {
+    throw new Error(`Unknown idle action: ${idle.action}`);
+  }
+
+  const thresholdMinutes = idle.thresholdMinutes === undefined || idle.thresholdMinutes === null || idle.thresholdMinutes === ''
+    ? DEFAULT_IDLE_THRESHOLD_MINUTES
+    : Number(idle.thresholdMinutes);
+  if (!Number.isFinite(thresholdMinutes) || thresholdMinutes <= 0) {
+    throw new Error('Idle threshold must be a positive number of minutes');
+  }
+
+  const normalized = { action: idle.action, thresholdMinutes };
+  if (idle.action === 'slow') {
+    const slowFactor = idle.slowFactor ? Number(idle.slowFactor) : DEFAULT_IDLE_SLOW_FACTOR;
+    if (!Number.isInteger(slowFactor) || slowFactor < 2) {
+      throw new Error('When idle, capture every 2nd tick or less often');
+    }
+    normalized.slowFactor = slowFactor;
+  }
+  return normalized;
+}
+
+function describeIdlePolicy(idle) {
+  if (!idle) return null;
+  const when = `idle ${idle.thresholdMinutes} min`;
+  if (idle.action === 'pause') return `pause when ${when}`;
+  if (idle.action === 'slow') return `1 in ${idle.slowFactor} when ${when}`;
+  return `skip when ${when}`;
+}
+
+function describeTiming(timing) {
+  if (!timing) return null;
+  return timing.mode === 'random' ? 'random' : `±${timing.jitterPercent}%`;
+}
+
+// Short description for the tray and session cards
+function describeSchedule(schedule) {
+  if (!schedule) {
+    return null;
+  }
+
+  const dayNames = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+  const parts = [];
+  if (schedule.activeHours) {
+    parts.push(`${schedule.activeHours.start}–${schedule.activeHours.end}`);
+  }
+  if (schedule.weekdays) {
+    parts.push(schedule.weekdays.map(day => dayNames[day]).join(', '));
+  }
+  if (schedule.startDate || schedule.endDate) {
+    parts.push(`${schedule.startDate || '…'} to ${schedule.endDate || '…'}`);
+  }
+  if (schedule.durationMinutes) {
+    parts.push(`for ${schedule.durationMinutes} min`);
+  }
+  return parts.join(' • ');
+}
+
+module.exports = {
+  normalizeSchedule,
+  isWithinSchedule,
+  getNextWindowStart,
+  getScheduleEnd,
+  describeSchedule,
+  normalizeTiming,
+  getTickOffset,
+  describeTiming,
+  normalizeIdlePolicy,
+  describeIdlePolicy
+};
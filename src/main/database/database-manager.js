@@ -1,127 +1,239 @@
 const Database = require('better-sqlite3');
 const path = require('path');
-const { app } = require('electron');
+const { app, BrowserWindow } = require('electron');
 const fs = require('fs').promises;
+const { MIGRATIONS, LATEST_VERSION } = require('./migrations');
+const { MetadataJournal } = require('./metadata-journal');
+
+// Pre-migration backups kept in userData/backups
+const MAX_DATABASE_BACKUPS = 3;
+
+// Writes that are journaled while the database is unavailable and replayed later.
+// Reads just come back empty in that state. Writes to existing captures can't be
+// journaled, the rows only get their ids on replay, so those throw instead.
+const JOURNALED_METHODS = [
+  'insertCapture',
+  'insertSession',
+  'updateSession',
+  'incrementSessionCaptures',
+  'addSessionMissedTicks',
+  'recordSessionFailure',
+  'recordDuplicateFrame',
+  'insertSessionEvent',
+  'upsertDevice',
+  'touchDevice'
+];
 
 class DatabaseManager {
   constructor() {
     this.db = null;
     this.dbPath = path.join(app.getPath('userData'), 'captures.db');
+    this.journal = new MetadataJournal(path.join(app.getPath('userData'), 'metadata-journal.jsonl'));
+    this.degraded = false;
+    this.degradedReason = null;
   }
 
   async initialize() {
     try {
       // Ensure the directory exists
       await fs.mkdir(path.dirname(this.dbPath), { recursive: true });
-      
-      try {
-        this.db = new Database(this.dbPath);
-      } catch (dbError) {
-        console.error('Failed to create Database object:', dbError);
-        // Create a minimal in-memory fallback
-        console.log('Using in-memory database fallback');
-        this.db = {
-          exec: (sql) => console.log('SQL exec (fallback):', sql.substring(0, 100) + '...'),
-          prepare: () => ({
-            run: () => ({ lastInsertRowid: 0, changes: 0 }),
-            get: () => null,
-            all: () => []
-          }),
-          close: () => {}
-        };
-      }
-      
-      this.createTables();
-      try {
-        await this.updateSchema();
-      } catch (schemaError) {
-        console.error('Schema update failed, continuing with basic functionality:', schemaError);
-      }
+
+      await this.openDatabase();
       console.log('Database initialized successfully');
     } catch (error) {
       console.error('Database initialization failed:', error);
-      console.log('Setting up fallback database functionality');
-      // Create a minimal fallback interface for all database operations
-      this.db = {
-        exec: (sql) => console.log('SQL exec (fallback):', sql.substring(0, 100) + '...'),
-        prepare: () => ({
-          run: () => ({ lastInsertRowid: 0, changes: 0 }),
-          get: () => null,
-          all: () => []
-        }),
-        close: () => {}
-      };
-    }
-  }
-
-  createTables() {
-    const tables = [
-      `CREATE TABLE IF NOT EXISTS captures (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        filename TEXT NOT NULL,
-        filepath TEXT NOT NULL,
-        date_folder TEXT NOT NULL,
-        capture_type TEXT NOT NULL CHECK(capture_type IN ('screenshot', 'camera', 'both', 'composite')),
-        capture_mode TEXT CHECK(capture_mode IN ('manual', 'delayed', 'interval')),
-        interval_session_id TEXT,
-        timestamp DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
-        file_size INTEGER,
-        width INTEGER,
-        height INTEGER,
-        device_info TEXT,
-        thumbnail_path TEXT,
-        tags TEXT,
-        notes TEXT,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-      )`,
-      
-      `CREATE TABLE IF NOT EXISTS interval_sessions (
-        session_id TEXT PRIMARY KEY,
-        session_name TEXT,
-        capture_type TEXT NOT NULL CHECK(capture_type IN ('screenshot', 'camera', 'both', 'composite')),
-        interval_seconds INTEGER NOT NULL,
-        max_captures INTEGER,
-        start_time DATETIME NOT NULL,
-        end_time DATETIME,
-        status TEXT NOT NULL CHECK(status IN ('active', 'paused', 'completed', 'cancelled')) DEFAULT 'active',
-        capture_count INTEGER DEFAULT 0,
-        device_id TEXT,
-        capture_settings TEXT,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-      )`,
-      
-      `CREATE TABLE IF NOT EXISTS settings (
-        key TEXT PRIMARY KEY,
-        value TEXT,
-        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-      )`,
-      
-      `CREATE TABLE IF NOT EXISTS devices (
-        device_id TEXT PRIMARY KEY,
-        device_name TEXT,
-        device_type TEXT CHECK(device_type IN ('camera', 'display')),
-        capabilities TEXT,
-        last_used DATETIME,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-      )`
-    ];
+      console.log('Setting up fallback database functionality, writes will be journaled');
+      this.useFallbackDatabase(error);
+      return;
+    }
+
+    // Metadata written while a previous run was in fallback mode
+    await this.replayJournal();
+  }
 
-    for (const tableSQL of tables) {
-      this.db.exec(tableSQL);
+  async openDatabase() {
+    try {
+      this.db = new Database(this.dbPath);
+      await this.runMigrations();
+    } catch (error) {
+      if (this.db && this.db.open) {
+        this.db.close();
+      }
+      this.db = null;
+      throw error;
     }
+  }
 
-    // Create indexes for better performance
-    const indexes = [
-      'CREATE INDEX IF NOT EXISTS idx_captures_timestamp ON captures(timestamp)',
-      'CREATE INDEX IF NOT EXISTS idx_captures_type ON captures(capture_type)',
-      'CREATE INDEX IF NOT EXISTS idx_captures_session ON captures(interval_session_id)',
-      'CREATE INDEX IF NOT EXISTS idx_sessions_status ON interval_sessions(status)',
-      'CREATE INDEX IF NOT EXISTS idx_sessions_type ON interval_sessions(capture_type)'
-    ];
+  // Tries to open SQLite again after a failed start; on success the journal is replayed
+  async retryConnection() {
+    if (!this.degraded) {
+      return await this.getStatus();
+    }
+
+    try {
+      await this.openDatabase();
+      this.degraded = false;
+      this.degradedReason = null;
+      console.log('Database connection restored');
+      await this.replayJournal();
+    } catch (error) {
+      console.error('Database is still unavailable:', error);
+      this.useFallbackDatabase(error);
+    }
+
+    const status = await this.getStatus();
+    this.notifyStatus(status);
+    return status;
+  }
+
+  // Create a minimal fallback interface for all database operations
+  useFallbackDatabase(error = null) {
+    this.degraded = true;
+    this.degradedReason = error ? error.message : 'Database could not be opened';
+    this.db = {
+      exec: (sql) => console.log('SQL exec (fallback):', sql.substring(0, 100) + '...'),
+      prepare: () => ({
+        run: () => ({ lastInsertRowid: 0, changes: 0 }),
+        get: () => null,
+        all: () => []
+      }),
+      pragma: () => 0,
+      close: () => {}
+    };
+  }
+
+  async getStatus() {
+    return {
+      degraded: this.degraded,
+      reason: this.degradedReason,
+      pendingEntries: await this.journal.count(),
+      journalPath: this.journal.journalPath
+    };
+  }
+
+  notifyStatus(status) {
+    try {
+      BrowserWindow.getAllWindows().forEach(window => {
+        window.webContents.send('database-status', status);
+      });
+    } catch (error) {
+      console.error('Failed to send database status:', error);
+    }
+  }
+
+  assertWritable(action) {
+    if (this.degraded) {
+      throw new Error(`${action} is unavailable while the database is offline`);
+    }
+  }
+
+  // Records a write for later instead of dropping it
+  async queueWrite(method, args) {
+    await this.journal.append(method, args);
+    this.notifyStatus(await this.getStatus());
+    return { id: 0, changes: 0, queued: true };
+  }
+
+  // Applies journaled writes in order. Entries that fail stay in the journal
+  // so nothing is thrown away; the rest are removed.
+  async replayJournal() {
+    const entries = await this.journal.readEntries();
+    if (entries.length === 0) {
+      return { replayed: 0, failed: 0 };
+    }
+
+    console.log(`Replaying ${entries.length} journaled database writes`);
+
+    let replayed = 0;
+    const failed = [];
+
+    for (const entry of entries) {
+      try {
+        if (!JOURNALED_METHODS.includes(entry.method)) {
+          throw new Error(`Unknown journaled method: ${entry.method}`);
+        }
+        await this[entry.method](...entry.args);
+        replayed++;
+      } catch (error) {
+        console.error(`Failed to replay journaled ${entry.method}:`, error);
+        failed.push(entry);
+      }
+    }
+
+    await this.journal.rewrite(failed);
+    console.log(`Journal replay finished: ${replayed} applied, ${failed.length} kept for later`);
+
+    return { replayed, failed: failed.length };
+  }
 
-    for (const indexSQL of indexes) {
-      this.db.exec(indexSQL);
+  // Brings the schema up to date, see migrations.js. Pending migrations run one
+  // transaction each, after the current database file has been backed up.
+  async runMigrations() {
+    this.db.exec(`CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+
+    const currentVersion = this.db.pragma('user_version', { simple: true });
+    const pending = MIGRATIONS.filter(migration => migration.version > currentVersion);
+
+    if (pending.length === 0) {
+      return;
     }
+
+    if (currentVersion > LATEST_VERSION) {
+      throw new Error(`Database version ${currentVersion} is newer than this app supports (${LATEST_VERSION})`);
+    }
+
+    // Nothing worth backing up in a brand new database
+    const hasData = this.getQuery("SELECT COUNT(*) AS count FROM sqlite_master WHERE type = 'table' AND name = 'captures'").count > 0;
+    if (hasData) {
+      await this.backupDatabase(currentVersion);
+    }
+
+    for (const migration of pending) {
+      console.log(`Applying database migration ${migration.version}: ${migration.name}`);
+
+      const log = (message) => console.log(`Database migration ${migration.version} (${migration.name}): ${message}`);
+      const apply = this.db.transaction(() => {
+        migration.up(this.db, log);
+        this.runQuery('INSERT OR REPLACE INTO schema_migrations (version, name) VALUES (?, ?)', [migration.version, migration.name]);
+        this.db.pragma(`user_version = ${migration.version}`);
+      });
+
+      try {
+        apply();
+      } catch (error) {
+        console.error(`Database migration ${migration.version} (${migration.name}) failed, schema left at version ${this.db.pragma('user_version', { simple: true })}:`, error);
+        throw error;
+      }
+    }
+
+    console.log(`Database migrated from version ${currentVersion} to ${LATEST_VERSION}`);
+  }
+
+  // Copies captures.db to userData/backups before migrating, keeping the newest few
+  async backupDatabase(version) {
+    const backupDir = path.join(path.dirname(this.dbPath), 'backups');
+    await fs.mkdir(backupDir, { recursive: true });
+
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const backupPath = path.join(backupDir, `captures-v${version}-${stamp}.db`);
+
+    await this.db.backup(backupPath);
+    console.log(`Database backed up to ${backupPath}`);
+
+    const backups = (await fs.readdir(backupDir))
+      .filter(file => /^captures-v\d+-.+\.db$/.test(file))
+      .sort()
+      .reverse();
+
+    for (const old of backups.slice(MAX_DATABASE_BACKUPS)) {
+      await fs.rm(path.join(backupDir, old), { force: true });
+    }
+
+    return backupPath;
   }
 
   runQuery(sql, params = []) {
@@ -154,14 +266,25 @@ class DatabaseManager {
 
   // Capture operations
   async insertCapture(captureData) {
+    if (this.degraded) {
+      // Pin the capture time now, the row is only written when the journal is replayed
+      return await this.queueWrite('insertCapture', [{
+        ...captureData,
+        timestamp: captureData.timestamp || new Date().toISOString()
+      }]);
+    }
+
     const sql = `
       INSERT INTO captures (
         filename, filepath, date_folder, capture_type, capture_mode,
         interval_session_id, file_size, width, height, device_info,
-        thumbnail_path, tags, notes
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        thumbnail_path, tags, notes, region_x, region_y, region_width, region_height,
+        display_id, phash, diff_score, trigger_source, timestamp
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, COALESCE(?, CURRENT_TIMESTAMP))
     `;
-    
+
+    const region = captureData.region || {};
+
     const params = [
       captureData.filename,
       captureData.filepath,
@@ -175,28 +298,55 @@ class DatabaseManager {
       captureData.device_info ? JSON.stringify(captureData.device_info) : null,
       captureData.thumbnail_path || null,
       captureData.tags || null,
-      captureData.notes || null
+      captureData.notes || null,
+      region.x ?? null,
+      region.y ?? null,
+      region.width ?? null,
+      region.height ?? null,
+      captureData.display_id || null,
+      captureData.phash || null,
+      captureData.diff_score ?? null,
+      captureData.trigger_source || null,
+      this.toSqliteTimestamp(captureData.timestamp)
     ];
 
     return await this.runQuery(sql, params);
   }
 
+  // Same 'YYYY-MM-DD HH:MM:SS' UTC format CURRENT_TIMESTAMP produces
+  toSqliteTimestamp(value) {
+    if (!value) {
+      return null;
+    }
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date.toISOString().slice(0, 19).replace('T', ' ');
+  }
+
   async getCaptures(filters = {}) {
     let sql = 'SELECT * FROM captures WHERE 1=1';
     const params = [];
 
+    // Trashed captures are hidden unless explicitly asked for
+    if (filters.trashed) {
+      sql += ' AND deleted_at IS NOT NULL';
+    } else {
+      sql += ' AND deleted_at IS NULL';
+    }
+
     if (filters.capture_type) {
       sql += ' AND capture_type = ?';
       params.push(filters.capture_type);
     }
 
+    // datetime() normalises both sides, so ISO strings from the renderer compare
+    // correctly against SQLite's 'YYYY-MM-DD HH:MM:SS' timestamps
     if (filters.date_from) {
-      sql += ' AND timestamp >= ?';
+      sql += ' AND datetime(timestamp) >= datetime(?)';
       params.push(filters.date_from);
     }
 
     if (filters.date_to) {
-      sql += ' AND timestamp <= ?';
+      sql += ' AND datetime(timestamp) <= datetime(?)';
       params.push(filters.date_to);
     }
 
@@ -221,13 +371,139 @@ class DatabaseManager {
     return await this.allQuery(sql, params);
   }
 
+  async getCapture(captureId) {
+    const sql = 'SELECT * FROM captures WHERE id = ?';
+    return await this.getQuery(sql, [captureId]);
+  }
+
+  // Every row's file location, trashed ones included, for reconciling with the disk
+  async getCaptureFileIndex() {
+    const sql = 'SELECT id, filename, filepath, timestamp, deleted_at, file_missing FROM captures';
+    return await this.allQuery(sql, []);
+  }
+
+  async getCapturesWithoutThumbnails() {
+    const sql = `
+      SELECT id, filepath FROM captures
+      WHERE thumbnail_path IS NULL AND deleted_at IS NULL
+      ORDER BY timestamp DESC
+    `;
+    return await this.allQuery(sql);
+  }
+
+  async updateCapture(captureId, updates) {
+    this.assertWritable('Updating captures');
+
+    const fields = Object.keys(updates);
+    const values = Object.values(updates);
+    const sql = `UPDATE captures SET ${fields.map(f => `${f} = ?`).join(', ')} WHERE id = ?`;
+    values.push(captureId);
+    return await this.runQuery(sql, values);
+  }
+
   async deleteCapture(captureId) {
+    this.assertWritable('Deleting captures');
+
     const sql = 'DELETE FROM captures WHERE id = ?';
     return await this.runQuery(sql, [captureId]);
   }
 
+  // Live captures oldest first, with whether their session is pinned
+  async getRetentionCandidates() {
+    const sql = `
+      SELECT c.id, c.filename, c.filepath, c.thumbnail_path, c.capture_type, c.timestamp, c.file_size,
+        c.interval_session_id, COALESCE(s.keep_forever, 0) AS keep_forever
+      FROM captures c
+      LEFT JOIN interval_sessions s ON s.session_id = c.interval_session_id
+      WHERE c.deleted_at IS NULL
+      ORDER BY datetime(c.timestamp) ASC, c.id ASC
+    `;
+    return await this.allQuery(sql, []);
+  }
+
+  // Size and count of live captures per day, capture type and session
+  async getStorageBreakdown() {
+    const byDay = await this.allQuery(`
+      SELECT date_folder AS day, COUNT(*) AS count, COALESCE(SUM(file_size), 0) AS bytes
+      FROM captures WHERE deleted_at IS NULL
+      GROUP BY date_folder ORDER BY date_folder DESC
+    `, []);
+
+    const byType = await this.allQuery(`
+      SELECT capture_type, COUNT(*) AS count, COALESCE(SUM(file_size), 0) AS bytes
+      FROM captures WHERE deleted_at IS NULL
+      GROUP BY capture_type ORDER BY bytes DESC
+    `, []);
+
+    const bySession = await this.allQuery(`
+      SELECT c.interval_session_id AS session_id, s.session_name, s.status, s.keep_forever,
+        COUNT(*) AS count, COALESCE(SUM(c.file_size), 0) AS bytes
+      FROM captures c
+      LEFT JOIN interval_sessions s ON s.session_id = c.interval_session_id
+      WHERE c.deleted_at IS NULL AND c.interval_session_id IS NOT NULL
+      GROUP BY c.interval_session_id ORDER BY bytes DESC
+    `, []);
+
+    return { byDay, byType, bySession };
+  }
+
+  async getTrashedCaptures(deletedBefore = null) {
+    if (deletedBefore) {
+      const sql = 'SELECT * FROM captures WHERE deleted_at IS NOT NULL AND deleted_at < ? ORDER BY deleted_at';
+      return await this.allQuery(sql, [deletedBefore]);
+    }
+    const sql = 'SELECT * FROM captures WHERE deleted_at IS NOT NULL ORDER BY deleted_at DESC';
+    return await this.allQuery(sql, []);
+  }
+
+  // Device operations
+  async upsertDevice(device) {
+    if (this.degraded) {
+      return await this.queueWrite('upsertDevice', [device]);
+    }
+
+    const sql = `
+      INSERT INTO devices (device_id, device_name, device_type, capabilities)
+      VALUES (?, ?, ?, ?)
+      ON CONFLICT(device_id) DO UPDATE SET
+        device_name = excluded.device_name,
+        device_type = excluded.device_type,
+        capabilities = excluded.capabilities
+    `;
+
+    return await this.runQuery(sql, [
+      device.device_id,
+      device.device_name || null,
+      device.device_type,
+      device.capabilities ? JSON.stringify(device.capabilities) : null
+    ]);
+  }
+
+  async touchDevice(deviceId, usedAt = new Date().toISOString()) {
+    if (this.degraded) {
+      return await this.queueWrite('touchDevice', [deviceId, usedAt]);
+    }
+
+    const sql = 'UPDATE devices SET last_used = ? WHERE device_id = ?';
+    return await this.runQuery(sql, [usedAt, deviceId]);
+  }
+
+  async getDevices(deviceType = null) {
+    if (deviceType) {
+      const sql = 'SELECT * FROM devices WHERE device_type = ? ORDER BY device_name';
+      return await this.allQuery(sql, [deviceType]);
+    }
+    return await this.allQuery('SELECT * FROM devices ORDER BY device_type, device_name', []);
+  }
+
   // Session operations
   async insertSession(sessionData) {
+    const startTime = sessionData.start_time ? new Date(sessionData.start_time).toISOString() : new Date().toISOString();
+
+    if (this.degraded) {
+      return await this.queueWrite('insertSession', [{ ...sessionData, start_time: startTime }]);
+    }
+
     const sql = `
       INSERT INTO interval_sessions (
         session_id, session_name, capture_type, interval_seconds,
@@ -241,7 +517,7 @@ class DatabaseManager {
       sessionData.capture_type,
       sessionData.interval_seconds,
       sessionData.max_captures || null,
-      new Date().toISOString(),
+      startTime,
       sessionData.device_id || null,
       sessionData.capture_settings ? JSON.stringify(sessionData.capture_settings) : null
     ];
@@ -250,6 +526,10 @@ class DatabaseManager {
   }
 
   async updateSession(sessionId, updates) {
+    if (this.degraded) {
+      return await this.queueWrite('updateSession', [sessionId, updates]);
+    }
+
     const fields = Object.keys(updates);
     const values = Object.values(updates);
     const sql = `UPDATE interval_sessions SET ${fields.map(f => `${f} = ?`).join(', ')} WHERE session_id = ?`;
@@ -272,132 +552,99 @@ class DatabaseManager {
     return await this.allQuery(sql, []);
   }
 
+  // Sessions that have finished, for the history page
+  async getSessionHistory() {
+    const sql = 'SELECT * FROM interval_sessions WHERE status NOT IN (?, ?) ORDER BY start_time DESC';
+    return await this.allQuery(sql, ['active', 'paused']);
+  }
+
+  // Removes the session and its events. Its captures are handled by the caller.
+  async deleteSession(sessionId) {
+    this.assertWritable('Deleting sessions');
+
+    await this.runQuery('DELETE FROM session_events WHERE session_id = ?', [sessionId]);
+    return await this.runQuery('DELETE FROM interval_sessions WHERE session_id = ?', [sessionId]);
+  }
+
+  async setSessionKeepForever(sessionId, keepForever) {
+    return await this.updateSession(sessionId, { keep_forever: keepForever ? 1 : 0 });
+  }
+
   async incrementSessionCaptures(sessionId) {
+    if (this.degraded) {
+      return await this.queueWrite('incrementSessionCaptures', [sessionId]);
+    }
+
     const sql = 'UPDATE interval_sessions SET capture_count = capture_count + 1 WHERE session_id = ?';
     return await this.runQuery(sql, [sessionId]);
   }
 
+  async addSessionMissedTicks(sessionId, count) {
+    if (this.degraded) {
+      return await this.queueWrite('addSessionMissedTicks', [sessionId, count]);
+    }
+
+    const sql = 'UPDATE interval_sessions SET missed_ticks = missed_ticks + ? WHERE session_id = ?';
+    return await this.runQuery(sql, [count, sessionId]);
+  }
+
+  async recordSessionFailure(sessionId, errorMessage) {
+    if (this.degraded) {
+      return await this.queueWrite('recordSessionFailure', [sessionId, errorMessage]);
+    }
+
+    const sql = `
+      UPDATE interval_sessions
+      SET failure_count = failure_count + 1, consecutive_failures = consecutive_failures + 1, last_error = ?
+      WHERE session_id = ?
+    `;
+    return await this.runQuery(sql, [errorMessage, sessionId]);
+  }
+
+  // A skipped near-identical frame: the kept capture it matched stands in for one
+  // more tick, and the session's total goes up
+  async recordDuplicateFrame(sessionId, captureId) {
+    if (this.degraded) {
+      return await this.queueWrite('recordDuplicateFrame', [sessionId, captureId]);
+    }
+
+    if (captureId) {
+      await this.runQuery('UPDATE captures SET repeat_count = repeat_count + 1 WHERE id = ?', [captureId]);
+    }
+    return await this.runQuery('UPDATE interval_sessions SET dedup_count = dedup_count + 1 WHERE session_id = ?', [sessionId]);
+  }
+
+  // event: { session_id, event_type, details, occurred_at }
+  async insertSessionEvent(event) {
+    const occurredAt = event.occurred_at ? new Date(event.occurred_at).toISOString() : new Date().toISOString();
+
+    if (this.degraded) {
+      return await this.queueWrite('insertSessionEvent', [{ ...event, occurred_at: occurredAt }]);
+    }
+
+    const sql = `
+      INSERT INTO session_events (session_id, event_type, details, occurred_at)
+      VALUES (?, ?, ?, ?)
+    `;
+    return await this.runQuery(sql, [
+      event.session_id,
+      event.event_type,
+      event.details ? JSON.stringify(event.details) : null,
+      this.toSqliteTimestamp(occurredAt)
+    ]);
+  }
+
+  async getSessionEvents(sessionId) {
+    const sql = 'SELECT * FROM session_events WHERE session_id = ? ORDER BY occurred_at, id';
+    return await this.allQuery(sql, [sessionId]);
+  }
+
   // Close database connection
   close() {
     if (this.db) {
       this.db.close();
     }
   }
-
-  // New method to update existing schema if needed
-  async updateSchema() {
-    try {
-      // Try to update the schema to add 'both' and 'composite' to the capture_type constraints
-      this.db.exec(`
-        -- Create temporary tables without constraints
-        CREATE TABLE IF NOT EXISTS temp_interval_sessions (
-          session_id TEXT PRIMARY KEY,
-          session_name TEXT,
-          capture_type TEXT NOT NULL,
-          interval_seconds INTEGER NOT NULL,
-          max_captures INTEGER,
-          start_time DATETIME NOT NULL,
-          end_time DATETIME,
-          status TEXT NOT NULL DEFAULT 'active',
-          capture_count INTEGER DEFAULT 0,
-          device_id TEXT,
-          capture_settings TEXT,
-          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-        );
-        
-        CREATE TABLE IF NOT EXISTS temp_captures (
-          id INTEGER PRIMARY KEY AUTOINCREMENT,
-          filename TEXT NOT NULL,
-          filepath TEXT NOT NULL,
-          date_folder TEXT NOT NULL,
-          capture_type TEXT NOT NULL,
-          capture_mode TEXT,
-          interval_session_id TEXT,
-          timestamp DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
-          file_size INTEGER,
-          width INTEGER,
-          height INTEGER,
-          device_info TEXT,
-          thumbnail_path TEXT,
-          tags TEXT,
-          notes TEXT,
-          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-        );
-        
-        -- Copy data from original tables to temp tables if they exist
-        INSERT OR IGNORE INTO temp_interval_sessions 
-        SELECT * FROM interval_sessions;
-        
-        INSERT OR IGNORE INTO temp_captures 
-        SELECT * FROM captures;
-        
-        -- Drop original tables
-        DROP TABLE IF EXISTS interval_sessions;
-        DROP TABLE IF EXISTS captures;
-        
-        -- Recreate tables with updated constraints
-        CREATE TABLE IF NOT EXISTS captures (
-          id INTEGER PRIMARY KEY AUTOINCREMENT,
-          filename TEXT NOT NULL,
-          filepath TEXT NOT NULL,
-          date_folder TEXT NOT NULL,
-          capture_type TEXT NOT NULL CHECK(capture_type IN ('screenshot', 'camera', 'both', 'composite')),
-          capture_mode TEXT CHECK(capture_mode IN ('manual', 'delayed', 'interval')),
-          interval_session_id TEXT,
-          timestamp DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
-          file_size INTEGER,
-          width INTEGER,
-          height INTEGER,
-          device_info TEXT,
-          thumbnail_path TEXT,
-          tags TEXT,
-          notes TEXT,
-          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-        );
-        
-        CREATE TABLE IF NOT EXISTS interval_sessions (
-          session_id TEXT PRIMARY KEY,
-          session_name TEXT,
-          capture_type TEXT NOT NULL CHECK(capture_type IN ('screenshot', 'camera', 'both', 'composite')),
-          interval_seconds INTEGER NOT NULL,
-          max_captures INTEGER,
-          start_time DATETIME NOT NULL,
-          end_time DATETIME,
-          status TEXT NOT NULL CHECK(status IN ('active', 'paused', 'completed', 'cancelled')) DEFAULT 'active',
-          capture_count INTEGER DEFAULT 0,
-          device_id TEXT,
-          capture_settings TEXT,
-          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-        );
-        
-        -- Copy data from temp tables to new tables
-        INSERT OR IGNORE INTO interval_sessions SELECT * FROM temp_interval_sessions;
-        INSERT OR IGNORE INTO captures SELECT * FROM temp_captures;
-        
-        -- Drop temp tables
-        DROP TABLE IF EXISTS temp_interval_sessions;
-        DROP TABLE IF EXISTS temp_captures;
-      `);
-      
-      // Recreate indexes
-      const indexes = [
-        'CREATE INDEX IF NOT EXISTS idx_captures_timestamp ON captures(timestamp)',
-        'CREATE INDEX IF NOT EXISTS idx_captures_type ON captures(capture_type)',
-        'CREATE INDEX IF NOT EXISTS idx_captures_session ON captures(interval_session_id)',
-        'CREATE INDEX IF NOT EXISTS idx_sessions_status ON interval_sessions(status)',
-        'CREATE INDEX IF NOT EXISTS idx_sessions_type ON interval_sessions(capture_type)'
-      ];
-
-      for (const indexSQL of indexes) {
-        this.db.exec(indexSQL);
-      }
-      
-      console.log('Database schema updated successfully');
-    } catch (error) {
-      console.error('Failed to update database schema:', error);
-      // Continue execution even if schema update fails
-    }
-  }
 }
 
-module.exports = { DatabaseManager }; 
\ No newline at end of file
+module.exports = { DatabaseManager };
@@ -0,0 +1,100 @@
+const fs = require('fs').promises;
+
+// Append-only JSONL file of database writes made while SQLite is unavailable.
+// One line per write: { method, args, queued_at }, replayed in order once the
+// database opens again.
+class MetadataJournal {
+  constructor(journalPath) {
+    this.journalPath = journalPath;
+    // Appends are chained so lines never interleave
+    this.writeQueue = Promise.resolve();
+    // Number of entries in the file, read once and then kept up to date
+    this.entryCount = null;
+  }
+
+  append(method, args) {
+    const line = JSON.stringify({ method, args, queued_at: new Date().toISOString() }) + '\n';
+
+    this.writeQueue = this.writeQueue
+      .then(() => fs.appendFile(this.journalPath, line, 'utf8'))
+      .then(() => {
+        if (this.entryCount !== null) {
+          this.entryCount++;
+        }
+      })
+      .catch(error => {
+        // Nowhere left to put it; make sure it at least shows up in the logs
+        console.error(`Failed to write metadata journal, lost ${method}:`, error, line);
+      });
+
+    return this.writeQueue;
+  }
+
+  async readEntries() {
+    await this.writeQueue;
+    return await this.readFile();
+  }
+
+  // Only call from inside the write queue, or after waiting for it
+  async readFile() {
+    let content;
+    try {
+      content = await fs.readFile(this.journalPath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    const entries = [];
+    content.split('\n').forEach((line, index) => {
+      if (!line.trim()) return;
+      try {
+        entries.push(JSON.parse(line));
+      } catch (error) {
+        // A crash mid-append can leave a partial last line
+        console.warn(`Skipping unreadable metadata journal line ${index + 1}`);
+      }
+    });
+    return entries;
+  }
+
+  // The first count reads the file in the write queue, so no append can land
+  // between reading it and keeping count from then on
+  async count() {
+    if (this.entryCount === null) {
+      await this.enqueue(async () => {
+        if (this.entryCount === null) {
+          this.entryCount = (await this.readFile()).length;
+        }
+      });
+    }
+    await this.writeQueue;
+    return this.entryCount;
+  }
+
+  // Replaces the journal with the entries that still need replaying
+  rewrite(entries) {
+    return this.enqueue(async () => {
+      if (entries.length === 0) {
+        await fs.rm(this.journalPath, { force: true });
+      } else {
+        const tempPath = `${this.journalPath}.tmp`;
+        await fs.writeFile(tempPath, entries.map(entry => JSON.stringify(entry)).join('\n') + '\n', 'utf8');
+        await fs.rename(tempPath, this.journalPath);
+      }
+      this.entryCount = entries.length;
+    });
+  }
+
+  // Runs task after everything already queued. Its error goes to the caller
+  // without stopping the queue.
+  enqueue(task) {
+    const result = this.writeQueue.then(task);
+    this.writeQueue = result.catch(() => {});
+    return result;
+  }
+}
+
+module.exports = { MetadataJournal };
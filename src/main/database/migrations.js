@@ -0,0 +1,299 @@
+// Ordered schema migrations. Each one runs exactly once per database, inside its
+// own transaction, and records itself in schema_migrations and PRAGMA user_version.
+// Steps must be idempotent: databases created before versioning already have some
+// of these changes. Never edit a released migration, append a new one instead.
+// up(db, log) gets a logger that prefixes messages with the migration.
+
+const CAPTURE_INDEXES = [
+  'CREATE INDEX IF NOT EXISTS idx_captures_timestamp ON captures(timestamp)',
+  'CREATE INDEX IF NOT EXISTS idx_captures_type ON captures(capture_type)',
+  'CREATE INDEX IF NOT EXISTS idx_captures_session ON captures(interval_session_id)'
+];
+
+const SESSION_INDEXES = [
+  'CREATE INDEX IF NOT EXISTS idx_sessions_status ON interval_sessions(status)',
+  'CREATE INDEX IF NOT EXISTS idx_sessions_type ON interval_sessions(capture_type)'
+];
+
+const MIGRATIONS = [
+  {
+    version: 1,
+    name: 'initial_schema',
+    up(db) {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS captures (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          filename TEXT NOT NULL,
+          filepath TEXT NOT NULL,
+          date_folder TEXT NOT NULL,
+          capture_type TEXT NOT NULL CHECK(capture_type IN ('screenshot', 'camera', 'both', 'composite')),
+          capture_mode TEXT CHECK(capture_mode IN ('manual', 'delayed', 'interval')),
+          interval_session_id TEXT,
+          timestamp DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+          file_size INTEGER,
+          width INTEGER,
+          height INTEGER,
+          device_info TEXT,
+          thumbnail_path TEXT,
+          tags TEXT,
+          notes TEXT,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE TABLE IF NOT EXISTS interval_sessions (
+          session_id TEXT PRIMARY KEY,
+          session_name TEXT,
+          capture_type TEXT NOT NULL CHECK(capture_type IN ('screenshot', 'camera', 'both', 'composite')),
+          interval_seconds INTEGER NOT NULL,
+          max_captures INTEGER,
+          start_time DATETIME NOT NULL,
+          end_time DATETIME,
+          status TEXT NOT NULL CHECK(status IN ('active', 'paused', 'completed', 'cancelled')) DEFAULT 'active',
+          capture_count INTEGER DEFAULT 0,
+          device_id TEXT,
+          capture_settings TEXT,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE TABLE IF NOT EXISTS settings (
+          key TEXT PRIMARY KEY,
+          value TEXT,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE TABLE IF NOT EXISTS devices (
+          device_id TEXT PRIMARY KEY,
+          device_name TEXT,
+          device_type TEXT CHECK(device_type IN ('camera', 'display')),
+          capabilities TEXT,
+          last_used DATETIME,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+      `);
+
+      [...CAPTURE_INDEXES, ...SESSION_INDEXES].forEach(sql => db.exec(sql));
+    }
+  },
+  {
+    // Very old databases were created before 'both' and 'composite' existed
+    version: 2,
+    name: 'capture_type_composite',
+    up(db) {
+      if (!getTableSql(db, 'captures').includes("'composite'")) {
+        rebuildTable(db, 'captures', getTableSql(db, 'captures')
+          .replace(/CHECK\s*\(\s*capture_type\s+IN\s*\([^)]*\)\s*\)/i,
+            "CHECK(capture_type IN ('screenshot', 'camera', 'both', 'composite'))"));
+        CAPTURE_INDEXES.forEach(sql => db.exec(sql));
+      }
+
+      if (!getTableSql(db, 'interval_sessions').includes("'composite'")) {
+        rebuildTable(db, 'interval_sessions', getTableSql(db, 'interval_sessions')
+          .replace(/CHECK\s*\(\s*capture_type\s+IN\s*\([^)]*\)\s*\)/i,
+            "CHECK(capture_type IN ('screenshot', 'camera', 'both', 'composite'))"));
+        SESSION_INDEXES.forEach(sql => db.exec(sql));
+      }
+    }
+  },
+  {
+    version: 3,
+    name: 'capture_region_and_display',
+    up(db) {
+      addColumnIfMissing(db, 'captures', 'region_x', 'INTEGER');
+      addColumnIfMissing(db, 'captures', 'region_y', 'INTEGER');
+      addColumnIfMissing(db, 'captures', 'region_width', 'INTEGER');
+      addColumnIfMissing(db, 'captures', 'region_height', 'INTEGER');
+      addColumnIfMissing(db, 'captures', 'display_id', 'TEXT');
+    }
+  },
+  {
+    version: 4,
+    name: 'capture_trash',
+    up(db) {
+      addColumnIfMissing(db, 'captures', 'deleted_at', 'DATETIME');
+      addColumnIfMissing(db, 'captures', 'trash_path', 'TEXT');
+    }
+  },
+  {
+    // Set by a library rescan when a row's file is no longer on disk
+    version: 5,
+    name: 'capture_file_missing',
+    up(db) {
+      addColumnIfMissing(db, 'captures', 'file_missing', 'INTEGER NOT NULL DEFAULT 0');
+    }
+  },
+  {
+    // Pinned sessions are never touched by retention policies
+    version: 6,
+    name: 'session_keep_forever',
+    up(db) {
+      addColumnIfMissing(db, 'interval_sessions', 'keep_forever', 'INTEGER NOT NULL DEFAULT 0');
+    }
+  },
+  {
+    // Per-session history (missed ticks, pauses, ...) and a running missed count
+    version: 7,
+    name: 'session_events',
+    up(db) {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS session_events (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          session_id TEXT NOT NULL,
+          event_type TEXT NOT NULL,
+          details TEXT,
+          occurred_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      db.exec('CREATE INDEX IF NOT EXISTS idx_session_events_session ON session_events(session_id, occurred_at)');
+      addColumnIfMissing(db, 'interval_sessions', 'missed_ticks', 'INTEGER NOT NULL DEFAULT 0');
+    }
+  },
+  {
+    // Failed interval captures: totals and the current streak. Each failure's
+    // message is kept as a 'failure' row in session_events.
+    version: 8,
+    name: 'session_failures',
+    up(db) {
+      addColumnIfMissing(db, 'interval_sessions', 'failure_count', 'INTEGER NOT NULL DEFAULT 0');
+      addColumnIfMissing(db, 'interval_sessions', 'consecutive_failures', 'INTEGER NOT NULL DEFAULT 0');
+      addColumnIfMissing(db, 'interval_sessions', 'last_error', 'TEXT');
+    }
+  },
+  {
+    // Comma separated tags for whole sessions, set from the session history
+    version: 9,
+    name: 'session_tags',
+    up(db) {
+      addColumnIfMissing(db, 'interval_sessions', 'tags', 'TEXT');
+    }
+  },
+  {
+    // Duplicate-frame suppression: each screenshot's perceptual hash, how many
+    // skipped near-identical frames a kept capture stands in for, and a per
+    // session total
+    version: 10,
+    name: 'capture_dedup',
+    up(db) {
+      addColumnIfMissing(db, 'captures', 'phash', 'TEXT');
+      addColumnIfMissing(db, 'captures', 'repeat_count', 'INTEGER NOT NULL DEFAULT 0');
+      addColumnIfMissing(db, 'interval_sessions', 'dedup_count', 'INTEGER NOT NULL DEFAULT 0');
+    }
+  },
+  {
+    // Change-triggered sessions save captures with capture_mode 'change', along
+    // with how much of the screen had changed (0-100)
+    version: 11,
+    name: 'capture_mode_change',
+    up(db) {
+      if (!getTableSql(db, 'captures').includes("'change'")) {
+        rebuildTable(db, 'captures', getTableSql(db, 'captures')
+          .replace(/CHECK\s*\(\s*capture_mode\s+IN\s*\([^)]*\)\s*\)/i,
+            "CHECK(capture_mode IN ('manual', 'delayed', 'interval', 'change'))"));
+        CAPTURE_INDEXES.forEach(sql => db.exec(sql));
+      }
+      addColumnIfMissing(db, 'captures', 'diff_score', 'REAL');
+    }
+  },
+  {
+    // What started each capture, and attribution for interval captures that
+    // were saved as 'manual' without their session. Those are matched to the
+    // session of the same type whose run covers their timestamp (the latest
+    // one to start if runs overlap) and only if they were taken just after one
+    // of its ticks, start_time + n * interval_seconds, so manual captures taken
+    // meanwhile stay manual. Sessions with random or jittered timing have no
+    // cadence to check, and anything ambiguous is left unattributed.
+    // Sessions without an end_time (crashed, or still running) are taken to end
+    // at their last capture or event, so they don't claim everything after.
+    version: 12,
+    name: 'capture_attribution',
+    up(db, log) {
+      addColumnIfMissing(db, 'captures', 'trigger_source', 'TEXT');
+
+      const lastActivity = `
+        SELECT MAX(julianday(activity)) FROM (
+          SELECT timestamp AS activity FROM captures linked WHERE linked.interval_session_id = s.session_id
+          UNION ALL
+          SELECT occurred_at FROM session_events e WHERE e.session_id = s.session_id
+        )
+      `;
+      // Seconds after its tick a capture may be saved (capturing takes a while),
+      // at most a quarter of the interval so short intervals stay unambiguous
+      const tickTolerance = 'MIN(10, s.interval_seconds / 4.0)';
+      // Seconds since the session started, and how far past a tick that is.
+      // Timestamps are stored to the second, so up to a second before a tick
+      // counts as on it too.
+      const elapsed = '((julianday(captures.timestamp) - julianday(s.start_time)) * 86400)';
+      const sinceTick = `(${elapsed} - s.interval_seconds * CAST(${elapsed} / s.interval_seconds AS INTEGER))`;
+      const timingMode = `CASE WHEN json_valid(s.capture_settings) THEN json_extract(s.capture_settings, '$.timing.mode') END`;
+
+      const matchingSession = `
+        SELECT s.session_id FROM interval_sessions s
+        WHERE julianday(captures.timestamp) >= julianday(s.start_time)
+          AND julianday(captures.timestamp) <= COALESCE(julianday(s.end_time), (${lastActivity}))
+          AND (s.capture_type = captures.capture_type
+            OR (s.capture_type = 'both' AND captures.capture_type IN ('screenshot', 'camera')))
+          AND s.interval_seconds > 0
+          AND COALESCE(${timingMode}, 'fixed') = 'fixed'
+          AND (${sinceTick} <= ${tickTolerance} OR ${sinceTick} >= s.interval_seconds - 1)
+        ORDER BY julianday(s.start_time) DESC
+        LIMIT 1
+      `;
+      const backfilled = db.prepare(`
+        UPDATE captures
+        SET interval_session_id = (${matchingSession}), capture_mode = 'interval'
+        WHERE interval_session_id IS NULL
+          AND (capture_mode IS NULL OR capture_mode = 'manual')
+          AND (${matchingSession}) IS NOT NULL
+      `).run().changes;
+
+      // Screenshots that already had their session were still saved as 'manual'
+      db.exec(`
+        UPDATE captures SET capture_mode = 'interval'
+        WHERE interval_session_id IS NOT NULL AND (capture_mode IS NULL OR capture_mode = 'manual')
+      `);
+      db.exec(`
+        UPDATE captures SET trigger_source = 'session'
+        WHERE interval_session_id IS NOT NULL AND trigger_source IS NULL
+      `);
+
+      log(`attributed ${backfilled} captures to their interval sessions`);
+    }
+  }
+];
+
+const LATEST_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+// Helpers for migration steps
+
+function getTableSql(db, table) {
+  const row = db.prepare("SELECT sql FROM sqlite_master WHERE type = 'table' AND name = ?").get(table);
+  return row ? row.sql : '';
+}
+
+function getColumns(db, table) {
+  return db.prepare(`PRAGMA table_info(${table})`).all().map(column => column.name);
+}
+
+function addColumnIfMissing(db, table, column, definition) {
+  if (!getColumns(db, table).includes(column)) {
+    db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    console.log(`Added column ${table}.${column}`);
+  }
+}
+
+// SQLite can't change constraints in place. Rename, recreate from createSql and
+// copy the columns both versions share, by name rather than position.
+function rebuildTable(db, table, createSql) {
+  const oldTable = `${table}_pre_migration`;
+  const oldColumns = getColumns(db, table);
+
+  db.exec(`ALTER TABLE ${table} RENAME TO ${oldTable}`);
+  db.exec(createSql);
+
+  const shared = getColumns(db, table).filter(column => oldColumns.includes(column)).join(', ');
+  db.exec(`INSERT INTO ${table} (${shared}) SELECT ${shared} FROM ${oldTable}`);
+  db.exec(`DROP TABLE ${oldTable}`);
+
+  console.log(`Rebuilt table ${table}`);
+}
+
+module.exports = { MIGRATIONS, LATEST_VERSION, addColumnIfMissing, rebuildTable, getTableSql };
@@ -2,23 +2,40 @@ const fs = require('fs').promises;
 const path = require('path');
 const { app } = require('electron');
 const Store = require('electron-store');
+const { loadImage } = require('canvas');
+const { ZipWriter } = require('./zip-writer');
+const { StorageLocationService } = require('./storage-location');
+
+// Trashed captures are kept this long before being removed for good
+const DEFAULT_TRASH_RETENTION_DAYS = 30;
+
+// PREFIX-YYYY-MM-DD_HH-MM-SS[_Dn][_n].ext, in local time. _n is added when
+// another capture already took the name in the same second.
+const CAPTURE_FILENAME_PATTERN = /^(CAMERA|SCREEN|COMPOSITE)-(\d{4})-(\d{2})-(\d{2})_(\d{2})-(\d{2})-(\d{2})(?:_D\d+)?(?:_\d+)?\.[a-z]+$/i;
+
+const CAPTURE_TYPES_BY_PREFIX = {
+  CAMERA: 'camera',
+  SCREEN: 'screenshot',
+  COMPOSITE: 'composite'
+};
 
 class FileManager {
-  constructor() {
+  constructor(dbManager = null, storageLocation = null) {
+    this.dbManager = dbManager;
     this.store = new Store();
+    this.storageLocation = storageLocation || new StorageLocationService(this.store);
     this.defaultSaveLocation = this.getDefaultSaveLocation();
+    // The last dry run, which is what applyLibraryRescan applies
+    this.lastScan = null;
+
+    this.storageLocation.onChange(({ path: newPath }) => {
+      this.defaultSaveLocation = newPath;
+    });
   }
 
+  // User-configured location, or Documents/CaptureApp
   getDefaultSaveLocation() {
-    // Try to get user-configured location first
-    const userLocation = this.store.get('defaultSaveLocation');
-    if (userLocation) {
-      return userLocation;
-    }
-
-    // Default to Documents/CaptureApp
-    const documentsPath = app.getPath('documents');
-    return path.join(documentsPath, 'CaptureApp');
+    return this.storageLocation.getLocation();
   }
 
   async ensureDateFolder(dateString) {
@@ -46,21 +63,233 @@ class FileManager {
     }
   }
 
-  async deleteCapture(captureId) {
+  // Moves a capture (and its thumbnail) to the trash, or removes it for good with { permanent: true }
+  async deleteCapture(captureId, options = {}) {
+    const { permanent = false } = options;
+
     try {
-      // This would typically involve:
-      // 1. Getting capture info from database
-      // 2. Deleting the actual file
-      // 3. Removing from database
-      
-      // For now, just return success
-      return { success: true };
+      const capture = await this.getCaptureOrThrow(captureId);
+
+      if (permanent || capture.deleted_at) {
+        await this.removeCaptureFiles(capture);
+        await this.dbManager.deleteCapture(capture.id);
+        console.log(`Permanently deleted capture ${capture.id}: ${capture.filename}`);
+        return { success: true, id: capture.id, trashed: false };
+      }
+
+      const trashPath = path.join(this.getTrashLocation(), String(capture.id));
+      await fs.mkdir(trashPath, { recursive: true });
+
+      await this.moveFile(capture.filepath, path.join(trashPath, path.basename(capture.filepath)));
+      if (capture.thumbnail_path) {
+        await this.moveFile(capture.thumbnail_path, path.join(trashPath, `thumbnail-${path.basename(capture.thumbnail_path)}`));
+      }
+
+      await this.dbManager.updateCapture(capture.id, {
+        deleted_at: new Date().toISOString(),
+        trash_path: trashPath
+      });
+
+      console.log(`Moved capture ${capture.id} to trash: ${trashPath}`);
+      return { success: true, id: capture.id, trashed: true };
     } catch (error) {
       console.error('Failed to delete capture:', error);
       throw error;
     }
   }
 
+  // Bulk delete using the same filters as DatabaseManager.getCaptures
+  async deleteCaptures(filters = {}, options = {}) {
+    const hasFilter = ['capture_type', 'date_from', 'date_to', 'session_id', 'search']
+      .some(key => filters[key]);
+
+    // Refuse to wipe the whole library because of an empty filter object
+    if (!hasFilter && !Array.isArray(filters.ids)) {
+      throw new Error('Bulk delete requires at least one filter');
+    }
+
+    const captures = Array.isArray(filters.ids)
+      ? (await Promise.all(filters.ids.map(id => this.dbManager.getCapture(id)))).filter(Boolean)
+      : await this.dbManager.getCaptures(filters);
+
+    const deletedIds = [];
+    const errors = [];
+
+    for (const capture of captures) {
+      try {
+        await this.deleteCapture(capture.id, options);
+        deletedIds.push(capture.id);
+      } catch (error) {
+        errors.push({ id: capture.id, error: error.message });
+      }
+    }
+
+    console.log(`Bulk delete removed ${deletedIds.length} of ${captures.length} captures`);
+    return {
+      success: errors.length === 0,
+      deletedIds,
+      trashed: !options.permanent,
+      errors
+    };
+  }
+
+  async restoreCapture(captureId) {
+    try {
+      const capture = await this.getCaptureOrThrow(captureId);
+      if (!capture.deleted_at) {
+        return { success: true, id: capture.id };
+      }
+
+      // Don't clobber a file that was written to the same name since the delete
+      try {
+        await fs.access(capture.filepath);
+        throw new Error(`A file already exists at ${capture.filepath}`);
+      } catch (accessError) {
+        if (accessError.code !== 'ENOENT') {
+          throw accessError;
+        }
+      }
+
+      // moveFile skips missing files, which would bring back a row with nothing behind it
+      const trashedFile = path.join(capture.trash_path, path.basename(capture.filepath));
+      if (!(await this.fileExists(trashedFile))) {
+        throw new Error(`The deleted file is no longer in the trash: ${trashedFile}`);
+      }
+
+      await fs.mkdir(path.dirname(capture.filepath), { recursive: true });
+      await this.moveFile(trashedFile, capture.filepath);
+
+      if (capture.thumbnail_path) {
+        try {
+          await fs.mkdir(path.dirname(capture.thumbnail_path), { recursive: true });
+          await this.moveFile(
+            path.join(capture.trash_path, `thumbnail-${path.basename(capture.thumbnail_path)}`),
+            capture.thumbnail_path
+          );
+        } catch (thumbError) {
+          // A missing thumbnail can be regenerated, the capture itself is what matters
+          console.warn(`Could not restore thumbnail for capture ${capture.id}:`, thumbError.message);
+        }
+      }
+
+      await fs.rm(capture.trash_path, { recursive: true, force: true });
+      await this.dbManager.updateCapture(capture.id, { deleted_at: null, trash_path: null });
+
+      console.log(`Restored capture ${capture.id} to ${capture.filepath}`);
+      return { success: true, id: capture.id };
+    } catch (error) {
+      console.error('Failed to restore capture:', error);
+      throw error;
+    }
+  }
+
+  async restoreCaptures(captureIds = []) {
+    const restoredIds = [];
+    const errors = [];
+
+    for (const captureId of captureIds) {
+      try {
+        await this.restoreCapture(captureId);
+        restoredIds.push(captureId);
+      } catch (error) {
+        errors.push({ id: captureId, error: error.message });
+      }
+    }
+
+    return { success: errors.length === 0, restoredIds, errors };
+  }
+
+  async getTrash() {
+    return await this.dbManager.getTrashedCaptures();
+  }
+
+  getTrashRetentionDays() {
+    return this.store.get('trashRetentionDays', DEFAULT_TRASH_RETENTION_DAYS);
+  }
+
+  // Permanently removes trashed captures older than the retention window
+  async purgeTrash(retentionDays = this.getTrashRetentionDays()) {
+    try {
+      const cutoff = new Date();
+      cutoff.setDate(cutoff.getDate() - retentionDays);
+
+      const expired = await this.dbManager.getTrashedCaptures(cutoff.toISOString());
+      for (const capture of expired) {
+        try {
+          await this.deleteCapture(capture.id, { permanent: true });
+        } catch (error) {
+          console.error(`Failed to purge trashed capture ${capture.id}:`, error);
+        }
+      }
+
+      if (expired.length > 0) {
+        console.log(`Purged ${expired.length} captures from trash`);
+      }
+      return { purged: expired.length };
+    } catch (error) {
+      console.error('Failed to purge trash:', error);
+      return { purged: 0 };
+    }
+  }
+
+  async emptyTrash() {
+    const trashed = await this.dbManager.getTrashedCaptures();
+    for (const capture of trashed) {
+      await this.deleteCapture(capture.id, { permanent: true });
+    }
+    return { success: true, purged: trashed.length };
+  }
+
+  getTrashLocation() {
+    return path.join(this.getDefaultSaveLocation(), '.trash');
+  }
+
+  // Size of the library on disk, thumbnails included, leaving out the trash
+  async getLibrarySize() {
+    const totalSize = await this.getDirectorySize(this.getDefaultSaveLocation());
+    return Math.max(0, totalSize - await this.getDirectorySize(this.getTrashLocation()));
+  }
+
+  async getCaptureOrThrow(captureId) {
+    if (!this.dbManager) {
+      throw new Error('FileManager was created without a database');
+    }
+
+    const capture = await this.dbManager.getCapture(captureId);
+    if (!capture) {
+      throw new Error(`Capture not found: ${captureId}`);
+    }
+    return capture;
+  }
+
+  // Removes the capture's files wherever they currently live (library or trash)
+  async removeCaptureFiles(capture) {
+    const paths = capture.trash_path
+      ? [capture.trash_path]
+      : [capture.filepath, capture.thumbnail_path].filter(Boolean);
+
+    for (const filePath of paths) {
+      await fs.rm(filePath, { recursive: true, force: true });
+    }
+  }
+
+  async moveFile(source, destination) {
+    try {
+      await fs.rename(source, destination);
+    } catch (error) {
+      if (error.code === 'EXDEV') {
+        // Different volume, rename can't cross it
+        await fs.copyFile(source, destination);
+        await fs.unlink(source);
+      } else if (error.code === 'ENOENT') {
+        // Already gone from disk, nothing to move
+        console.warn(`File to move does not exist: ${source}`);
+      } else {
+        throw error;
+      }
+    }
+  }
+
   async getDirectorySize(dirPath) {
     try {
       const stats = await fs.stat(dirPath);
@@ -125,40 +354,206 @@ class FileManager {
 
   isCaptureFile(filename) {
     const capturePatterns = [
-      /^CAMERA-\d{4}-\d{2}-\d{2}_\d{2}-\d{2}-\d{2}\.(jpg|jpeg)$/i,
-      /^SCREEN-\d{4}-\d{2}-\d{2}_\d{2}-\d{2}-\d{2}\.png$/i
+      /^CAMERA-\d{4}-\d{2}-\d{2}_\d{2}-\d{2}-\d{2}(_\d+)?\.(jpg|jpeg)$/i,
+      /^SCREEN-\d{4}-\d{2}-\d{2}_\d{2}-\d{2}-\d{2}(_D\d+)?(_\d+)?\.png$/i,
+      /^COMPOSITE-\d{4}-\d{2}-\d{2}_\d{2}-\d{2}-\d{2}(_\d+)?\.png$/i
     ];
 
     return capturePatterns.some(pattern => pattern.test(filename));
   }
 
-  async cleanupOldFiles(days = 90) {
+  // Compares the save directory with the database without changing anything.
+  // untracked: capture files with no row, missing: rows whose file is gone,
+  // reappeared: rows flagged missing whose file is back.
+  async scanLibrary() {
+    const baseDir = this.getDefaultSaveLocation();
+    const rows = await this.dbManager.getCaptureFileIndex();
+    const tracked = new Set(rows.map(row => this.getPathKey(row.filepath)));
+
+    const untracked = [];
+    let folders = [];
     try {
-      const baseDir = this.getDefaultSaveLocation();
-      const cutoffDate = new Date();
-      cutoffDate.setDate(cutoffDate.getDate() - days);
+      folders = (await fs.readdir(baseDir)).filter(folder => this.isDateFolder(folder));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
 
-      const folders = await fs.readdir(baseDir);
-      let deletedCount = 0;
+    let filesOnDisk = 0;
+    for (const folder of folders.sort()) {
+      const files = await this.listCaptureFiles(folder);
+      filesOnDisk += files.length;
+
+      for (const file of files) {
+        if (!tracked.has(this.getPathKey(file.filepath))) {
+          untracked.push({
+            filename: file.filename,
+            filepath: file.filepath,
+            date_folder: folder,
+            size: file.size,
+            capture_type: this.getCaptureTypeFromFilename(file.filename),
+            timestamp: this.parseFilenameTimestamp(file.filename, file.modified).toISOString()
+          });
+        }
+      }
+    }
+
+    const missing = [];
+    const reappeared = [];
+    for (const row of rows) {
+      // Trashed files live in the trash folder, not at filepath
+      if (row.deleted_at) continue;
+
+      const exists = await this.fileExists(row.filepath);
+      if (!exists && !row.file_missing) {
+        missing.push({ id: row.id, filename: row.filename, filepath: row.filepath, timestamp: row.timestamp });
+      } else if (exists && row.file_missing) {
+        reappeared.push({ id: row.id, filename: row.filename, filepath: row.filepath });
+      }
+    }
+
+    this.lastScan = {
+      scannedAt: new Date().toISOString(),
+      saveLocation: baseDir,
+      trackedRows: rows.length,
+      filesOnDisk,
+      untracked,
+      missing,
+      reappeared
+    };
+    return this.lastScan;
+  }
+
+  // Applies the scan the user previewed, identified by options.scannedAt, and
+  // nothing it didn't list. options.importUntracked adds rows for untracked files;
+  // options.missing is 'flag' (mark file_missing), 'prune' (delete the rows) or 'ignore'.
+  async applyLibraryRescan(options = {}) {
+    const { importUntracked = true, missing: missingAction = 'flag' } = options;
+
+    if (this.dbManager.degraded) {
+      throw new Error('The database is unavailable, rescan once it is back');
+    }
+
+    const scan = this.lastScan;
+    if (!scan || scan.scannedAt !== options.scannedAt || scan.saveLocation !== this.getDefaultSaveLocation()) {
+      throw new Error('The library scan is out of date, scan again before applying it');
+    }
+    this.lastScan = null;
+
+    const result = { imported: 0, importFailed: [], flagged: 0, pruned: 0, restored: 0 };
+
+    if (importUntracked) {
+      for (const file of scan.untracked) {
+        try {
+          const image = await loadImage(file.filepath);
+          await this.dbManager.insertCapture({
+            filename: file.filename,
+            filepath: file.filepath,
+            date_folder: file.date_folder,
+            capture_type: file.capture_type,
+            capture_mode: 'manual',
+            trigger_source: 'rescan',
+            file_size: file.size,
+            width: image.width,
+            height: image.height,
+            timestamp: file.timestamp,
+            tags: 'imported'
+          });
+          result.imported++;
+        } catch (error) {
+          console.warn(`Could not import ${file.filepath}:`, error.message);
+          result.importFailed.push({ filepath: file.filepath, error: error.message });
+        }
+      }
+    }
+
+    for (const row of scan.missing) {
+      if (missingAction === 'flag') {
+        await this.dbManager.updateCapture(row.id, { file_missing: 1 });
+        result.flagged++;
+      } else if (missingAction === 'prune') {
+        const capture = await this.dbManager.getCapture(row.id);
+        if (capture && capture.thumbnail_path) {
+          await fs.rm(capture.thumbnail_path, { force: true });
+        }
+        await this.dbManager.deleteCapture(row.id);
+        result.pruned++;
+      }
+    }
+
+    for (const row of scan.reappeared) {
+      await this.dbManager.updateCapture(row.id, { file_missing: 0 });
+      result.restored++;
+    }
+
+    console.log('Library rescan applied:', result);
+    return { success: true, ...result };
+  }
+
+  getCaptureTypeFromFilename(filename) {
+    const match = filename.match(CAPTURE_FILENAME_PATTERN);
+    return match ? CAPTURE_TYPES_BY_PREFIX[match[1].toUpperCase()] : 'screenshot';
+  }
+
+  // Capture filenames carry local time; fall back to the file's mtime
+  parseFilenameTimestamp(filename, fallback = new Date()) {
+    const match = filename.match(CAPTURE_FILENAME_PATTERN);
+    if (!match) {
+      return fallback;
+    }
+    const [, , year, month, day, hours, minutes, seconds] = match.map(Number);
+    return new Date(year, month - 1, day, hours, minutes, seconds);
+  }
+
+  // Windows and macOS file systems are case-insensitive by default
+  getPathKey(filePath) {
+    const resolved = path.resolve(filePath);
+    return process.platform === 'linux' ? resolved : resolved.toLowerCase();
+  }
+
+  async fileExists(filePath) {
+    try {
+      await fs.access(filePath);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // Removes date folders left with nothing in them (or only an empty .thumbs)
+  // once their captures are gone. Files are deleted per capture, never by folder,
+  // so the database stays in step.
+  async removeEmptyDateFolders() {
+    try {
+      const baseDir = this.getDefaultSaveLocation();
+      const folders = await fs.readdir(baseDir, { withFileTypes: true });
+      let removedCount = 0;
 
       for (const folder of folders) {
-        const folderPath = path.join(baseDir, folder);
-        const stats = await fs.stat(folderPath);
-        
-        if (stats.isDirectory() && this.isDateFolder(folder)) {
-          const folderDate = this.parseDateFolder(folder);
-          
-          if (folderDate < cutoffDate) {
-            await fs.rmdir(folderPath, { recursive: true });
-            deletedCount++;
+        if (!folder.isDirectory() || !this.isDateFolder(folder.name)) continue;
+
+        const folderPath = path.join(baseDir, folder.name);
+        const thumbsPath = path.join(folderPath, '.thumbs');
+
+        try {
+          if ((await fs.readdir(thumbsPath)).length === 0) {
+            await fs.rmdir(thumbsPath);
           }
+        } catch (error) {
+          // No thumbnail folder
+        }
+
+        if ((await fs.readdir(folderPath)).length === 0) {
+          await fs.rmdir(folderPath);
+          removedCount++;
         }
       }
 
-      return { deletedFolders: deletedCount };
+      return { removedFolders: removedCount };
     } catch (error) {
-      console.error('Failed to cleanup old files:', error);
-      throw error;
+      console.error('Failed to remove empty date folders:', error);
+      return { removedFolders: 0 };
     }
   }
 
@@ -171,17 +566,165 @@ class FileManager {
     return new Date(year, month - 1, day);
   }
 
-  async exportCaptures(exportPath, filters = {}) {
+  // Exports the captures matching getCaptures-style filters as a ZIP file or a
+  // plain folder, together with manifest.json and manifest.csv describing them.
+  // options.format: 'zip' (exportPath is the .zip file) or 'folder' (exportPath is created)
+  async exportCaptures(exportPath, filters = {}, options = {}) {
+    const { format = 'zip' } = options;
+    let zip = null;
+    const partialPath = `${exportPath}.partial`;
+
     try {
-      // This would export captures based on filters
-      // For now, just return success
-      return { success: true, exportPath };
+      // An export is everything matching the filters, never a page of it
+      const { limit, ...exportFilters } = filters;
+      const captures = await this.dbManager.getCaptures(exportFilters);
+      if (captures.length === 0) {
+        throw new Error('No captures match the selected filters');
+      }
+
+      const sessions = await this.getExportSessions(captures);
+
+      if (format === 'zip') {
+        // Write under a temporary name so a failed export never looks complete
+        zip = new ZipWriter(partialPath);
+        await zip.open();
+      } else {
+        await fs.mkdir(exportPath, { recursive: true });
+      }
+
+      const usedNames = new Set();
+      const rows = [];
+      const missing = [];
+
+      for (const capture of captures) {
+        const bundlePath = this.getUniqueBundlePath(capture, usedNames);
+        let included = true;
+
+        try {
+          if (zip) {
+            await zip.addFile(bundlePath, capture.filepath, {
+              compress: !/\.(png|jpe?g)$/i.test(capture.filename),
+              date: this.parseCaptureTimestamp(capture.timestamp)
+            });
+          } else {
+            const destination = path.join(exportPath, bundlePath);
+            await fs.mkdir(path.dirname(destination), { recursive: true });
+            await fs.copyFile(capture.filepath, destination);
+          }
+        } catch (error) {
+          if (error.code !== 'ENOENT') {
+            throw error;
+          }
+          // Keep the record in the manifest so the gap is visible to whoever receives it
+          console.warn(`Capture file missing, exporting metadata only: ${capture.filepath}`);
+          included = false;
+          missing.push(capture.id);
+        }
+
+        rows.push(this.buildManifestRow(capture, sessions.get(capture.interval_session_id), bundlePath, included));
+      }
+
+      const manifest = {
+        exported_at: new Date().toISOString(),
+        app_version: app.getVersion(),
+        filters: exportFilters,
+        capture_count: rows.length,
+        missing_files: missing.length,
+        sessions: Array.from(sessions.values()),
+        captures: rows
+      };
+      const manifestJson = Buffer.from(JSON.stringify(manifest, null, 2), 'utf8');
+      const manifestCsv = Buffer.from(this.toCsv(rows), 'utf8');
+
+      if (zip) {
+        await zip.addBuffer('manifest.json', manifestJson);
+        await zip.addBuffer('manifest.csv', manifestCsv);
+        await zip.close();
+        zip = null;
+        await fs.rename(partialPath, exportPath);
+      } else {
+        await fs.writeFile(path.join(exportPath, 'manifest.json'), manifestJson);
+        await fs.writeFile(path.join(exportPath, 'manifest.csv'), manifestCsv);
+      }
+
+      console.log(`Exported ${rows.length} captures to ${exportPath}`);
+      return { success: true, exportPath, format, exported: rows.length, missing };
     } catch (error) {
       console.error('Failed to export captures:', error);
+
+      if (zip) {
+        await zip.abort();
+        await fs.rm(partialPath, { force: true });
+      }
       throw error;
     }
   }
 
+  async getExportSessions(captures) {
+    const sessions = new Map();
+    const sessionIds = new Set(captures.map(capture => capture.interval_session_id).filter(Boolean));
+
+    for (const sessionId of sessionIds) {
+      const session = await this.dbManager.getSession(sessionId);
+      if (session) {
+        sessions.set(sessionId, session);
+      }
+    }
+    return sessions;
+  }
+
+  // captures/<date folder>/<filename>, de-duplicated in case two rows share a name
+  getUniqueBundlePath(capture, usedNames) {
+    const folder = capture.date_folder || 'undated';
+    let bundlePath = `captures/${folder}/${capture.filename}`;
+
+    if (usedNames.has(bundlePath)) {
+      const ext = path.extname(capture.filename);
+      bundlePath = `captures/${folder}/${path.basename(capture.filename, ext)}_${capture.id}${ext}`;
+    }
+
+    usedNames.add(bundlePath);
+    return bundlePath;
+  }
+
+  // Every captures column, plus where the file sits in the bundle and its session
+  buildManifestRow(capture, session, bundlePath, included) {
+    return {
+      ...capture,
+      export_path: included ? bundlePath : null,
+      file_included: included,
+      session_name: session ? session.session_name : null,
+      session_capture_type: session ? session.capture_type : null,
+      session_interval_seconds: session ? session.interval_seconds : null,
+      session_start_time: session ? session.start_time : null,
+      session_end_time: session ? session.end_time : null,
+      session_status: session ? session.status : null
+    };
+  }
+
+  toCsv(rows) {
+    const columns = Object.keys(rows[0]);
+    const escape = (value) => {
+      if (value === null || value === undefined) {
+        return '';
+      }
+      const text = String(value);
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const lines = [columns.join(',')];
+    rows.forEach(row => {
+      lines.push(columns.map(column => escape(row[column])).join(','));
+    });
+    return lines.join('\r\n') + '\r\n';
+  }
+
+  // SQLite's CURRENT_TIMESTAMP is UTC without a zone marker
+  parseCaptureTimestamp(timestamp) {
+    const date = new Date(/[zZ]|[+-]\d\d:?\d\d$/.test(timestamp) ? timestamp : `${timestamp.replace(' ', 'T')}Z`);
+    return isNaN(date.getTime()) ? new Date() : date;
+  }
+
   async getStorageStats() {
     try {
       const baseDir = this.getDefaultSaveLocation();
@@ -217,9 +760,8 @@ class FileManager {
   }
 
   // Settings management
-  setSaveLocation(newPath) {
-    this.store.set('defaultSaveLocation', newPath);
-    this.defaultSaveLocation = newPath;
+  async setSaveLocation(newPath) {
+    return await this.storageLocation.setLocation(newPath);
   }
 
   getSaveLocation() {
@@ -227,12 +769,8 @@ class FileManager {
   }
 
   async validateSaveLocation(dirPath) {
-    try {
-      await fs.access(dirPath, fs.constants.W_OK);
-      return true;
-    } catch (error) {
-      return false;
-    }
+    const { valid } = await this.storageLocation.validate(dirPath);
+    return valid;
   }
 }
 
@@ -0,0 +1,268 @@
+const fs = require('fs').promises;
+const { BrowserWindow } = require('electron');
+const Store = require('electron-store');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MB = 1024 * 1024;
+
+// Capture types that can have their own age limit
+const RETENTION_CAPTURE_TYPES = ['screenshot', 'camera', 'composite'];
+
+// Everything off until the user opts in, nothing is ever deleted by default
+const DEFAULT_RETENTION_POLICY = {
+  enabled: false,
+  maxAgeDays: null,
+  maxTotalSizeMB: null,
+  typeMaxAgeDays: {
+    screenshot: null,
+    camera: null,
+    composite: null
+  }
+};
+
+// How many captures a preview lists individually
+const PREVIEW_LIMIT = 50;
+
+// Deletes captures that fall outside the retention policy: older than the age
+// limit (overall or for their type), or the oldest ones while the library is
+// over its size cap. Captures in sessions pinned with keep_forever are never
+// touched. Files and database rows are removed together through FileManager.
+class RetentionManager {
+  constructor(dbManager, fileManager, store = new Store()) {
+    this.dbManager = dbManager;
+    this.fileManager = fileManager;
+    this.store = store;
+    this.running = false;
+  }
+
+  getPolicy() {
+    return this.normalizePolicy(this.store.get('retentionPolicy'));
+  }
+
+  setPolicy(policy) {
+    const normalized = this.normalizePolicy(policy);
+    this.store.set('retentionPolicy', normalized);
+    return normalized;
+  }
+
+  // Fills in defaults and turns blanks, zeros and junk into "no limit"
+  normalizePolicy(policy = {}) {
+    const toLimit = (value) => {
+      const number = Number(value);
+      return value !== null && value !== '' && Number.isFinite(number) && number > 0 ? number : null;
+    };
+
+    const typeMaxAgeDays = {};
+    RETENTION_CAPTURE_TYPES.forEach(type => {
+      typeMaxAgeDays[type] = toLimit(policy && policy.typeMaxAgeDays ? policy.typeMaxAgeDays[type] : null);
+    });
+
+    return {
+      ...DEFAULT_RETENTION_POLICY,
+      enabled: !!(policy && policy.enabled),
+      maxAgeDays: toLimit(policy && policy.maxAgeDays),
+      maxTotalSizeMB: toLimit(policy && policy.maxTotalSizeMB),
+      typeMaxAgeDays
+    };
+  }
+
+  // A type's own limit wins over the overall one
+  getMaxAgeDays(policy, captureType) {
+    return policy.typeMaxAgeDays[captureType] || policy.maxAgeDays;
+  }
+
+  getLastRun() {
+    return this.store.get('retentionLastRun', null);
+  }
+
+  // Works out what the policy would delete, without deleting anything
+  async buildPlan(policy = this.getPolicy()) {
+    const captures = await this.dbManager.getRetentionCandidates();
+    // The trash has its own retention window, so it doesn't count against the cap
+    const librarySize = await this.fileManager.getLibrarySize();
+    const now = Date.now();
+
+    const selected = new Map();
+    const pinnedIds = new Set();
+
+    for (const capture of captures) {
+      const maxAgeDays = this.getMaxAgeDays(policy, capture.capture_type);
+      if (!maxAgeDays) continue;
+
+      const age = now - this.fileManager.parseCaptureTimestamp(capture.timestamp).getTime();
+      if (age <= maxAgeDays * DAY_MS) continue;
+
+      if (capture.keep_forever) {
+        pinnedIds.add(capture.id);
+        continue;
+      }
+
+      selected.set(capture.id, { ...capture, size: await this.getCaptureSize(capture), reason: 'age' });
+    }
+
+    // Then the oldest of what's left, until the library fits under the cap
+    const sizeLimit = policy.maxTotalSizeMB ? policy.maxTotalSizeMB * MB : null;
+    let projectedSize = librarySize - [...selected.values()].reduce((sum, capture) => sum + capture.size, 0);
+
+    if (sizeLimit) {
+      for (const capture of captures) {
+        if (projectedSize <= sizeLimit) break;
+        if (selected.has(capture.id)) continue;
+
+        if (capture.keep_forever) {
+          pinnedIds.add(capture.id);
+          continue;
+        }
+
+        const size = await this.getCaptureSize(capture);
+        selected.set(capture.id, { ...capture, size, reason: 'size' });
+        projectedSize -= size;
+      }
+    }
+
+    const toDelete = [...selected.values()];
+    const byReason = { age: 0, size: 0 };
+    const byType = {};
+    toDelete.forEach(capture => {
+      byReason[capture.reason]++;
+      byType[capture.capture_type] = (byType[capture.capture_type] || 0) + 1;
+    });
+
+    return {
+      generatedAt: new Date().toISOString(),
+      policy,
+      totalSize: librarySize,
+      sizeLimit,
+      projectedSize: Math.max(0, projectedSize),
+      // Pinned sessions can keep the library over its cap
+      overLimit: !!sizeLimit && projectedSize > sizeLimit,
+      count: toDelete.length,
+      freedBytes: toDelete.reduce((sum, capture) => sum + capture.size, 0),
+      pinnedSkipped: pinnedIds.size,
+      byReason,
+      byType,
+      captures: toDelete
+    };
+  }
+
+  // Same as buildPlan, trimmed for sending to the settings page
+  async preview(policy = null) {
+    const plan = await this.buildPlan(policy ? this.normalizePolicy(policy) : this.getPolicy());
+    return {
+      ...plan,
+      captures: plan.captures.slice(0, PREVIEW_LIMIT).map(capture => ({
+        id: capture.id,
+        filename: capture.filename,
+        capture_type: capture.capture_type,
+        timestamp: capture.timestamp,
+        size: capture.size,
+        reason: capture.reason
+      }))
+    };
+  }
+
+  // Applies the saved policy. Disabled policies do nothing unless forced.
+  async apply(options = {}) {
+    const { force = false } = options;
+
+    if (this.running) {
+      throw new Error('Retention cleanup is already running');
+    }
+    if (this.dbManager.degraded) {
+      // Deleting files while rows are only journaled would leave them out of step
+      throw new Error('Retention cleanup is unavailable while the database is offline');
+    }
+
+    const policy = this.getPolicy();
+    if (!policy.enabled && !force) {
+      return { skipped: true, deleted: 0, freedBytes: 0, errors: [] };
+    }
+
+    this.running = true;
+    try {
+      const plan = await this.buildPlan(policy);
+      const errors = [];
+      let deleted = 0;
+      let freedBytes = 0;
+
+      for (const capture of plan.captures) {
+        try {
+          await this.fileManager.deleteCapture(capture.id, { permanent: true });
+          deleted++;
+          freedBytes += capture.size;
+        } catch (error) {
+          errors.push({ id: capture.id, error: error.message });
+        }
+      }
+
+      if (deleted > 0) {
+        await this.fileManager.removeEmptyDateFolders();
+        console.log(`Retention removed ${deleted} captures (${Math.round(freedBytes / MB)} MB)`);
+      }
+
+      const result = {
+        skipped: false,
+        ranAt: new Date().toISOString(),
+        deleted,
+        freedBytes,
+        pinnedSkipped: plan.pinnedSkipped,
+        overLimit: plan.overLimit,
+        errors
+      };
+
+      this.store.set('retentionLastRun', {
+        ranAt: result.ranAt,
+        deleted,
+        freedBytes,
+        errors: errors.length
+      });
+
+      if (deleted > 0) {
+        this.notifyApplied(result);
+      }
+      return result;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  // For the timer: never throws
+  async runScheduled() {
+    try {
+      return await this.apply();
+    } catch (error) {
+      console.error('Scheduled retention cleanup failed:', error);
+      return null;
+    }
+  }
+
+  // The capture and its thumbnail. Rows from before file_size was recorded
+  // fall back to the file on disk.
+  async getCaptureSize(capture) {
+    const size = capture.file_size || await this.getFileSize(capture.filepath);
+    return size + (capture.thumbnail_path ? await this.getFileSize(capture.thumbnail_path) : 0);
+  }
+
+  async getFileSize(filePath) {
+    try {
+      return (await fs.stat(filePath)).size;
+    } catch (error) {
+      return 0;
+    }
+  }
+
+  notifyApplied(result) {
+    try {
+      BrowserWindow.getAllWindows().forEach(window => {
+        window.webContents.send('retention-applied', {
+          deleted: result.deleted,
+          freedBytes: result.freedBytes
+        });
+      });
+    } catch (error) {
+      console.error('Failed to send retention result:', error);
+    }
+  }
+}
+
+module.exports = { RetentionManager, DEFAULT_RETENTION_POLICY, RETENTION_CAPTURE_TYPES };
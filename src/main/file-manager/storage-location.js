@@ -0,0 +1,113 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { app, BrowserWindow } = require('electron');
+const Store = require('electron-store');
+
+// The one settings key that holds the save location
+const SAVE_LOCATION_KEY = 'defaultSaveLocation';
+
+// Keys older versions wrote the location to
+const LEGACY_SAVE_LOCATION_KEYS = ['saveDirectory'];
+
+// Owns where captures are saved. Everything that reads or changes the save
+// location goes through here so the main process, managers and renderer agree.
+class StorageLocationService {
+  constructor(store = new Store()) {
+    this.store = store;
+    this.listeners = new Set();
+    this.migrateLegacyKeys();
+  }
+
+  // The tray used to write 'saveDirectory', which nothing that saves files read
+  migrateLegacyKeys() {
+    for (const key of LEGACY_SAVE_LOCATION_KEYS) {
+      const legacyValue = this.store.get(key);
+      if (legacyValue === undefined) continue;
+
+      if (!this.store.get(SAVE_LOCATION_KEY) && legacyValue) {
+        this.store.set(SAVE_LOCATION_KEY, legacyValue);
+        console.log(`Migrated save location from '${key}': ${legacyValue}`);
+      }
+      this.store.delete(key);
+    }
+  }
+
+  getDefaultLocation() {
+    return path.join(app.getPath('documents'), 'CaptureApp');
+  }
+
+  getLocation() {
+    return this.store.get(SAVE_LOCATION_KEY) || this.getDefaultLocation();
+  }
+
+  // True once the user has picked a folder, rather than using the default
+  isCustomLocation() {
+    return !!this.store.get(SAVE_LOCATION_KEY);
+  }
+
+  getStatus() {
+    return {
+      path: this.getLocation(),
+      isCustom: this.isCustomLocation()
+    };
+  }
+
+  // Creates the folder if needed and proves we can write to it
+  async validate(dirPath) {
+    try {
+      if (!dirPath || !path.isAbsolute(dirPath)) {
+        throw new Error('Save location must be an absolute path');
+      }
+
+      await fs.mkdir(dirPath, { recursive: true });
+
+      const testFile = path.join(dirPath, `.write-test-${Date.now()}`);
+      await fs.writeFile(testFile, 'test');
+      await fs.unlink(testFile);
+
+      return { valid: true };
+    } catch (error) {
+      return { valid: false, error: error.message };
+    }
+  }
+
+  async setLocation(dirPath) {
+    const { valid, error } = await this.validate(dirPath);
+    if (!valid) {
+      throw new Error(`Cannot save captures to ${dirPath}: ${error}`);
+    }
+
+    const previous = this.getLocation();
+    this.store.set(SAVE_LOCATION_KEY, dirPath);
+    console.log(`Save location changed: ${previous} -> ${dirPath}`);
+
+    this.notifyChange({ path: dirPath, previous, isCustom: true });
+    return this.getStatus();
+  }
+
+  // callback({ path, previous, isCustom }); returns a function that unsubscribes
+  onChange(callback) {
+    this.listeners.add(callback);
+    return () => this.listeners.delete(callback);
+  }
+
+  notifyChange(change) {
+    this.listeners.forEach(listener => {
+      try {
+        listener(change);
+      } catch (error) {
+        console.error('Save location listener failed:', error);
+      }
+    });
+
+    try {
+      BrowserWindow.getAllWindows().forEach(window => {
+        window.webContents.send('save-location-changed', change);
+      });
+    } catch (error) {
+      console.error('Failed to send save location change:', error);
+    }
+  }
+}
+
+module.exports = { StorageLocationService, SAVE_LOCATION_KEY };
@@ -0,0 +1,185 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { BrowserWindow } = require('electron');
+
+const MB = 1024 * 1024;
+const GB = 1024 * MB;
+const DAY_SECONDS = 24 * 60 * 60;
+
+// Free space thresholds for the save volume
+const LOW_FREE_BYTES = 2 * GB;
+const CRITICAL_FREE_BYTES = 500 * MB;
+const LOW_FREE_RATIO = 0.05;
+
+// Projected days until the active sessions fill the disk
+const LOW_DAYS_UNTIL_FULL = 7;
+const CRITICAL_DAYS_UNTIL_FULL = 1;
+
+// Builds the storage dashboard: library usage broken down by day, type and
+// session, the growth expected from running interval sessions, and how much room
+// is left on the volume the captures are saved to.
+class StorageMonitor {
+  constructor(dbManager, fileManager) {
+    this.dbManager = dbManager;
+    this.fileManager = fileManager;
+    this.lastWarningLevel = 'ok';
+  }
+
+  async getReport() {
+    const stats = await this.fileManager.getStorageStats();
+    const breakdown = await this.dbManager.getStorageBreakdown();
+    const freeSpace = await this.getFreeSpaceStatus(breakdown);
+
+    return {
+      generatedAt: new Date().toISOString(),
+      saveLocation: stats.baseDirectory,
+      totalSize: stats.totalSize,
+      totalFiles: stats.totalFiles,
+      dateFolders: stats.dateFolders,
+      ...freeSpace,
+      byDay: breakdown.byDay,
+      byType: breakdown.byType,
+      bySession: breakdown.bySession
+    };
+  }
+
+  // Disk space, projected growth and warnings, without walking the library
+  async getFreeSpaceStatus(breakdown) {
+    const disk = await this.getDiskSpace(this.fileManager.getDefaultSaveLocation());
+    const growth = await this.getProjectedGrowth(breakdown.byType, breakdown.bySession);
+    const daysUntilFull = disk && growth.bytesPerDay > 0 ? disk.free / growth.bytesPerDay : null;
+
+    return {
+      disk,
+      growth: { ...growth, daysUntilFull },
+      warnings: this.getWarnings(disk, daysUntilFull)
+    };
+  }
+
+  // Free and total bytes on the volume holding dirPath. The save folder may not
+  // exist yet, so walk up to the nearest folder that does.
+  async getDiskSpace(dirPath) {
+    let current = dirPath;
+    while (current) {
+      try {
+        const stats = await fs.statfs(current);
+        return {
+          free: stats.bavail * stats.bsize,
+          total: stats.blocks * stats.bsize
+        };
+      } catch (error) {
+        const parent = path.dirname(current);
+        if (error.code !== 'ENOENT' || parent === current) {
+          console.error('Failed to read free disk space:', error);
+          return null;
+        }
+        current = parent;
+      }
+    }
+    return null;
+  }
+
+  // Expected bytes per day from active interval sessions. A session's own
+  // captures give its size per tick; new sessions fall back to the library
+  // average for their capture type.
+  async getProjectedGrowth(byType, bySession) {
+    const averages = {};
+    byType.forEach(row => {
+      averages[row.capture_type] = row.count > 0 ? row.bytes / row.count : 0;
+    });
+
+    const averageForType = (captureType) => {
+      if (captureType === 'both') {
+        return (averages.screenshot || 0) + (averages.camera || 0);
+      }
+      return averages[captureType] || 0;
+    };
+
+    const sessions = (await this.dbManager.getActiveSessions())
+      .filter(session => session.status === 'active' && session.interval_seconds > 0);
+
+    const sessionGrowth = [];
+    for (const session of sessions) {
+      const usage = bySession.find(row => row.session_id === session.session_id);
+      const sessionBytes = usage ? usage.bytes : 0;
+      const bytesPerTick = session.capture_count > 0 && sessionBytes > 0
+        ? sessionBytes / session.capture_count
+        : averageForType(session.capture_type);
+
+      const ticksPerDay = DAY_SECONDS / session.interval_seconds;
+      const remainingTicks = session.max_captures
+        ? Math.max(0, session.max_captures - (session.capture_count || 0))
+        : null;
+
+      sessionGrowth.push({
+        session_id: session.session_id,
+        session_name: session.session_name,
+        capture_type: session.capture_type,
+        bytesPerTick,
+        // A session that stops at max_captures can't add more than what's left
+        bytesPerDay: bytesPerTick * (remainingTicks === null ? ticksPerDay : Math.min(ticksPerDay, remainingTicks)),
+        remainingBytes: remainingTicks === null ? null : bytesPerTick * remainingTicks
+      });
+    }
+
+    return {
+      bytesPerDay: sessionGrowth.reduce((sum, session) => sum + session.bytesPerDay, 0),
+      sessions: sessionGrowth
+    };
+  }
+
+  getWarnings(disk, daysUntilFull) {
+    const warnings = [];
+    if (!disk) {
+      return warnings;
+    }
+
+    const freeText = `${(disk.free / GB).toFixed(1)} GB`;
+    if (disk.free < CRITICAL_FREE_BYTES) {
+      warnings.push({ level: 'critical', message: `Only ${freeText} free on the save volume. Captures may start failing.` });
+    } else if (disk.free < LOW_FREE_BYTES || disk.free < disk.total * LOW_FREE_RATIO) {
+      warnings.push({ level: 'warning', message: `The save volume is running low: ${freeText} free.` });
+    }
+
+    if (daysUntilFull !== null && daysUntilFull < CRITICAL_DAYS_UNTIL_FULL) {
+      warnings.push({ level: 'critical', message: `Active sessions will fill the disk in about ${Math.max(1, Math.round(daysUntilFull * 24))} hours.` });
+    } else if (daysUntilFull !== null && daysUntilFull < LOW_DAYS_UNTIL_FULL) {
+      warnings.push({ level: 'warning', message: `Active sessions will fill the disk in about ${Math.round(daysUntilFull)} days.` });
+    }
+
+    return warnings;
+  }
+
+  // Worst of the warnings, 'ok' if there are none
+  getWarningLevel(warnings) {
+    if (warnings.some(warning => warning.level === 'critical')) return 'critical';
+    if (warnings.length > 0) return 'warning';
+    return 'ok';
+  }
+
+  // For the timer: tells the windows when the free-space level changes, so the
+  // renderer only warns once per change rather than on every check
+  async checkFreeSpace() {
+    try {
+      const report = await this.getFreeSpaceStatus(await this.dbManager.getStorageBreakdown());
+      const level = this.getWarningLevel(report.warnings);
+
+      if (level !== this.lastWarningLevel) {
+        this.lastWarningLevel = level;
+        if (level !== 'ok') {
+          console.warn('Storage warning:', report.warnings.map(warning => warning.message).join(' '));
+        }
+
+        BrowserWindow.getAllWindows().forEach(window => {
+          window.webContents.send('storage-warning', { level, warnings: report.warnings });
+        });
+      }
+      return level;
+    } catch (error) {
+      console.error('Storage check failed:', error);
+      return null;
+    }
+  }
+}
+
+module.exports = { StorageMonitor };
@@ -0,0 +1,187 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { Worker } = require('worker_threads');
+const { BrowserWindow } = require('electron');
+
+const THUMBNAIL_FOLDER = '.thumbs';
+const THUMBNAIL_MAX_SIZE = 320;
+const THUMBNAIL_QUALITY = 0.8;
+
+// The worker is shut down after this long without jobs to free its memory
+const WORKER_IDLE_TIMEOUT = 30 * 1000;
+
+class ThumbnailManager {
+  constructor(dbManager) {
+    this.dbManager = dbManager;
+    this.worker = null;
+    this.queue = [];
+    this.currentJob = null;
+    this.nextJobId = 1;
+    this.idleTimer = null;
+  }
+
+  // Thumbnails live next to their capture: <date folder>/.thumbs/<name>.jpg
+  getThumbnailPath(filepath) {
+    const name = path.basename(filepath, path.extname(filepath));
+    return path.join(path.dirname(filepath), THUMBNAIL_FOLDER, `${name}.jpg`);
+  }
+
+  // Queues a thumbnail for a saved capture. Never throws, a missing thumbnail
+  // only means the gallery falls back to the full image.
+  enqueue(captureId, filepath) {
+    if (!captureId || !filepath) {
+      return Promise.resolve(null);
+    }
+
+    return new Promise((resolve) => {
+      this.queue.push({ captureId, filepath, resolve });
+      this.processQueue();
+    });
+  }
+
+  processQueue() {
+    if (this.currentJob || this.queue.length === 0) {
+      return;
+    }
+
+    clearTimeout(this.idleTimer);
+
+    const job = this.queue.shift();
+    job.jobId = this.nextJobId++;
+    job.destination = this.getThumbnailPath(job.filepath);
+    this.currentJob = job;
+
+    this.getWorker().postMessage({
+      jobId: job.jobId,
+      source: job.filepath,
+      destination: job.destination,
+      maxSize: THUMBNAIL_MAX_SIZE,
+      quality: THUMBNAIL_QUALITY
+    });
+  }
+
+  getWorker() {
+    if (!this.worker) {
+      const worker = new Worker(path.join(__dirname, 'thumbnail-worker.js'));
+      worker.on('message', (message) => this.handleWorkerMessage(message));
+      worker.on('error', (error) => {
+        console.error('Thumbnail worker crashed:', error);
+      });
+      worker.on('exit', (code) => {
+        // shutdown() may already have replaced or cleared it
+        if (this.worker !== worker) {
+          return;
+        }
+        this.worker = null;
+
+        // A crash mid-job would otherwise stall the queue forever
+        if (this.currentJob) {
+          console.error(`Thumbnail worker exited with code ${code} while processing ${this.currentJob.filepath}`);
+          this.finishJob(null);
+        }
+      });
+      this.worker = worker;
+    }
+    return this.worker;
+  }
+
+  async handleWorkerMessage(message) {
+    const job = this.currentJob;
+    if (!job || job.jobId !== message.jobId) {
+      return;
+    }
+
+    if (!message.success) {
+      console.warn(`Thumbnail generation failed for ${job.filepath}: ${message.error}`);
+      this.finishJob(null);
+      return;
+    }
+
+    try {
+      await this.dbManager.updateCapture(job.captureId, { thumbnail_path: job.destination });
+      this.notifyThumbnailReady(job.captureId, job.destination);
+      this.finishJob(job.destination);
+    } catch (error) {
+      console.error(`Failed to record thumbnail for capture ${job.captureId}:`, error);
+      this.finishJob(null);
+    }
+  }
+
+  finishJob(thumbnailPath) {
+    const job = this.currentJob;
+    if (!job) {
+      return;
+    }
+    this.currentJob = null;
+    job.resolve(thumbnailPath);
+
+    if (this.queue.length > 0) {
+      this.processQueue();
+    } else {
+      this.idleTimer = setTimeout(() => this.shutdown(), WORKER_IDLE_TIMEOUT);
+    }
+  }
+
+  // Generates thumbnails for captures saved before thumbnails existed (or whose
+  // generation failed). Runs through the same queue, so it never blocks new captures.
+  async backfillMissing() {
+    try {
+      const captures = await this.dbManager.getCapturesWithoutThumbnails();
+      if (captures.length === 0) {
+        return 0;
+      }
+
+      console.log(`Backfilling thumbnails for ${captures.length} captures`);
+
+      let created = 0;
+      for (const capture of captures) {
+        try {
+          await fs.access(capture.filepath);
+        } catch (error) {
+          // File is gone, nothing to make a thumbnail from
+          continue;
+        }
+
+        if (await this.enqueue(capture.id, capture.filepath)) {
+          created++;
+        }
+      }
+
+      console.log(`Thumbnail backfill finished: ${created} created`);
+      return created;
+    } catch (error) {
+      console.error('Thumbnail backfill failed:', error);
+      return 0;
+    }
+  }
+
+  notifyThumbnailReady(captureId, thumbnailPath) {
+    try {
+      BrowserWindow.getAllWindows().forEach(window => {
+        window.webContents.send('thumbnail-ready', { id: captureId, thumbnail_path: thumbnailPath });
+      });
+    } catch (error) {
+      console.error('Failed to send thumbnail update:', error);
+    }
+  }
+
+  // Stops the worker; anything still queued resolves without a thumbnail
+  shutdown() {
+    clearTimeout(this.idleTimer);
+
+    this.queue.forEach(job => job.resolve(null));
+    this.queue = [];
+
+    if (this.currentJob) {
+      this.currentJob.resolve(null);
+      this.currentJob = null;
+    }
+
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+  }
+}
+
+module.exports = { ThumbnailManager };
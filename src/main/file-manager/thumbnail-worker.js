@@ -0,0 +1,27 @@
+const { parentPort } = require('worker_threads');
+const fs = require('fs').promises;
+const path = require('path');
+const { createCanvas, loadImage } = require('canvas');
+
+// Runs off the main thread so decoding and scaling full-size captures
+// never stalls interval timers or the UI
+parentPort.on('message', async (job) => {
+  try {
+    const image = await loadImage(job.source);
+
+    const scale = Math.min(1, job.maxSize / Math.max(image.width, image.height));
+    const width = Math.max(1, Math.round(image.width * scale));
+    const height = Math.max(1, Math.round(image.height * scale));
+
+    const canvas = createCanvas(width, height);
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(image, 0, 0, width, height);
+
+    await fs.mkdir(path.dirname(job.destination), { recursive: true });
+    await fs.writeFile(job.destination, canvas.toBuffer('image/jpeg', { quality: job.quality }));
+
+    parentPort.postMessage({ jobId: job.jobId, success: true, width, height });
+  } catch (error) {
+    parentPort.postMessage({ jobId: job.jobId, success: false, error: error.message });
+  }
+});
@@ -0,0 +1,162 @@
+const fs = require('fs').promises;
+const zlib = require('zlib');
+const { promisify } = require('util');
+
+const deflateRaw = promisify(zlib.deflateRaw);
+
+// Classic (non-ZIP64) format limits
+const MAX_ZIP_SIZE = 0xFFFFFFFF;
+const MAX_ZIP_ENTRIES = 0xFFFF;
+
+// Flag bit 11: file names are UTF-8
+const UTF8_FLAG = 0x0800;
+const METHOD_STORE = 0;
+const METHOD_DEFLATE = 8;
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(buffer) {
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < buffer.length; i++) {
+    crc = CRC_TABLE[(crc ^ buffer[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+// MS-DOS date/time as stored in ZIP headers (local time, 2 second precision)
+function toDosDateTime(date) {
+  const year = Math.max(1980, date.getFullYear());
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+// Minimal ZIP writer: entries are written to disk as they are added, only the
+// central directory is kept in memory until close()
+class ZipWriter {
+  constructor(outputPath) {
+    this.outputPath = outputPath;
+    this.handle = null;
+    this.offset = 0;
+    this.entries = [];
+  }
+
+  async open() {
+    this.handle = await fs.open(this.outputPath, 'w');
+  }
+
+  // Already-compressed formats (PNG, JPEG) are stored as-is, deflating them gains nothing
+  async addBuffer(name, data, options = {}) {
+    const { compress = true, date = new Date() } = options;
+
+    if (this.entries.length >= MAX_ZIP_ENTRIES) {
+      throw new Error(`ZIP archives are limited to ${MAX_ZIP_ENTRIES} files`);
+    }
+
+    const nameBuffer = Buffer.from(name.replace(/\\/g, '/'), 'utf8');
+    const crc = crc32(data);
+    const compressed = compress ? await deflateRaw(data) : data;
+    const method = compress ? METHOD_DEFLATE : METHOD_STORE;
+    const { time, date: dosDate } = toDosDateTime(date);
+
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034b50, 0);
+    header.writeUInt16LE(20, 4);
+    header.writeUInt16LE(UTF8_FLAG, 6);
+    header.writeUInt16LE(method, 8);
+    header.writeUInt16LE(time, 10);
+    header.writeUInt16LE(dosDate, 12);
+    header.writeUInt32LE(crc, 14);
+    header.writeUInt32LE(compressed.length, 18);
+    header.writeUInt32LE(data.length, 22);
+    header.writeUInt16LE(nameBuffer.length, 26);
+    header.writeUInt16LE(0, 28);
+
+    const entrySize = header.length + nameBuffer.length + compressed.length;
+    if (this.offset + entrySize > MAX_ZIP_SIZE) {
+      throw new Error('Export is larger than 4 GB, which ZIP files cannot hold. Export to a folder instead.');
+    }
+
+    this.entries.push({
+      nameBuffer, crc, method, time, dosDate,
+      compressedSize: compressed.length,
+      size: data.length,
+      offset: this.offset
+    });
+
+    await this.write(header);
+    await this.write(nameBuffer);
+    await this.write(compressed);
+  }
+
+  async addFile(name, sourcePath, options = {}) {
+    const data = await fs.readFile(sourcePath);
+    await this.addBuffer(name, data, options);
+  }
+
+  async close() {
+    const centralStart = this.offset;
+
+    for (const entry of this.entries) {
+      const header = Buffer.alloc(46);
+      header.writeUInt32LE(0x02014b50, 0);
+      header.writeUInt16LE(20, 4);
+      header.writeUInt16LE(20, 6);
+      header.writeUInt16LE(UTF8_FLAG, 8);
+      header.writeUInt16LE(entry.method, 10);
+      header.writeUInt16LE(entry.time, 12);
+      header.writeUInt16LE(entry.dosDate, 14);
+      header.writeUInt32LE(entry.crc, 16);
+      header.writeUInt32LE(entry.compressedSize, 20);
+      header.writeUInt32LE(entry.size, 24);
+      header.writeUInt16LE(entry.nameBuffer.length, 28);
+      // Extra field, comment, disk number, attributes are all zero
+      header.writeUInt32LE(entry.offset, 42);
+
+      await this.write(header);
+      await this.write(entry.nameBuffer);
+    }
+
+    const centralSize = this.offset - centralStart;
+    if (this.offset + 22 > MAX_ZIP_SIZE) {
+      throw new Error('Export is larger than 4 GB, which ZIP files cannot hold. Export to a folder instead.');
+    }
+
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(this.entries.length, 8);
+    end.writeUInt16LE(this.entries.length, 10);
+    end.writeUInt32LE(centralSize, 12);
+    end.writeUInt32LE(centralStart, 16);
+    await this.write(end);
+
+    await this.handle.close();
+    this.handle = null;
+  }
+
+  // Closes without finishing the archive, used when an export fails part way
+  async abort() {
+    if (this.handle) {
+      await this.handle.close();
+      this.handle = null;
+    }
+  }
+
+  async write(buffer) {
+    await this.handle.write(buffer, 0, buffer.length, this.offset);
+    this.offset += buffer.length;
+  }
+}
+
+module.exports = { ZipWriter };
@@ -1,9 +1,14 @@
-const { app, BrowserWindow, ipcMain, Tray, Menu, dialog, globalShortcut, systemPreferences, nativeImage, shell } = require('electron');
+const { app, BrowserWindow, ipcMain, Tray, Menu, dialog, globalShortcut, systemPreferences, nativeImage, shell, screen } = require('electron');
 const path = require('path');
 const { DatabaseManager } = require('./database/database-manager');
-const { CaptureManager } = require('./capture/capture-manager');
+const { CaptureManager, DELAYED_CAPTURE_TYPES } = require('./capture/capture-manager');
 const { FileManager } = require('./file-manager/file-manager');
+const { StorageLocationService, SAVE_LOCATION_KEY } = require('./file-manager/storage-location');
+const { RetentionManager } = require('./file-manager/retention-manager');
+const { StorageMonitor } = require('./file-manager/storage-monitor');
 const { IntervalManager } = require('./capture/interval-manager');
+const { SessionHistory } = require('./capture/session-history');
+const { TimelapseManager } = require('./timelapse/timelapse-manager');
 const Store = require('electron-store');
 const { promisify } = require('util');
 const { exec } = require('child_process');
@@ -14,12 +19,21 @@ class ElectronCaptureApp {
   constructor() {
     this.mainWindow = null;
     this.tray = null;
+    this.trayMenu = null; // Kept to update the "Next capture" item in place
     this.store = new Store();
     this.dbManager = new DatabaseManager();
-    this.fileManager = new FileManager();
+    this.storageLocation = new StorageLocationService(this.store);
+    this.fileManager = new FileManager(this.dbManager, this.storageLocation);
+    this.retentionManager = new RetentionManager(this.dbManager, this.fileManager, this.store);
+    this.storageMonitor = new StorageMonitor(this.dbManager, this.fileManager);
+    this.timelapseManager = new TimelapseManager(this.dbManager);
     this.captureManager = null; // Will be initialized after dbManager
     this.intervalManager = null; // Will be initialized after dbManager
     this.isQuitting = false;
+    this.trashPurgeTimer = null;
+    this.retentionTimer = null;
+    this.storageCheckTimer = null;
+    this.databaseRetryTimer = null;
   }
 
   async initialize() {
@@ -36,18 +50,34 @@ class ElectronCaptureApp {
       }
 
       // Initialize managers that depend on database
-      this.captureManager = new CaptureManager(this.dbManager);
-      this.intervalManager = new IntervalManager(this.dbManager);
+      this.captureManager = new CaptureManager(this.dbManager, this.fileManager);
+      this.intervalManager = new IntervalManager(this.dbManager, this.captureManager, this.store);
+      this.sessionHistory = new SessionHistory(this.dbManager, this.fileManager, this.intervalManager);
 
       // Initialize the managers
       await this.captureManager.initialize();
       await this.intervalManager.initialize();
 
+      // Schedules start, wait and stop sessions without any IPC call
+      this.intervalManager.onChange(() => this.updateTrayMenu());
+      // Each tick only moves the next capture time, which doesn't need a new menu
+      this.intervalManager.onNextCaptureChange(() => this.updateNextCapture());
+
       this.createWindow();
       this.createTray();
       this.setupIPC();
       this.registerShortcuts();
       this.setupAppEvents();
+      this.scheduleTrashPurge();
+      this.scheduleRetention();
+      this.scheduleStorageCheck();
+
+      if (this.dbManager.degraded) {
+        this.scheduleDatabaseRetry();
+      }
+
+      // Fill in thumbnails for older captures without holding up startup
+      this.captureManager.thumbnailManager.backfillMissing();
     } catch (error) {
       console.error('Application initialization failed:', error);
       // Show error dialog to user
@@ -59,6 +89,65 @@ class ElectronCaptureApp {
     }
   }
 
+  // Empties expired trash now and once a day while the app keeps running
+  scheduleTrashPurge() {
+    this.fileManager.purgeTrash();
+
+    if (this.trashPurgeTimer) {
+      clearInterval(this.trashPurgeTimer);
+    }
+    this.trashPurgeTimer = setInterval(() => {
+      this.fileManager.purgeTrash();
+    }, 24 * 60 * 60 * 1000);
+  }
+
+  // Applies the retention policy now and every hour, so a size cap is caught
+  // before the disk fills. Does nothing while the policy is disabled.
+  scheduleRetention() {
+    this.retentionManager.runScheduled();
+
+    if (this.retentionTimer) {
+      clearInterval(this.retentionTimer);
+    }
+    this.retentionTimer = setInterval(() => {
+      this.retentionManager.runScheduled();
+    }, 60 * 60 * 1000);
+  }
+
+  // Watches free space on the save volume; the renderer is told when it gets low
+  scheduleStorageCheck() {
+    this.storageMonitor.checkFreeSpace();
+
+    if (this.storageCheckTimer) {
+      clearInterval(this.storageCheckTimer);
+    }
+    this.storageCheckTimer = setInterval(() => {
+      this.storageMonitor.checkFreeSpace();
+    }, 15 * 60 * 1000);
+  }
+
+  // While the database is unavailable, keep trying to reopen it in the background
+  scheduleDatabaseRetry() {
+    if (this.databaseRetryTimer) {
+      return;
+    }
+    this.databaseRetryTimer = setInterval(() => {
+      this.retryDatabase();
+    }, 5 * 60 * 1000);
+  }
+
+  async retryDatabase() {
+    const status = await this.dbManager.retryConnection();
+
+    if (!status.degraded && this.databaseRetryTimer) {
+      clearInterval(this.databaseRetryTimer);
+      this.databaseRetryTimer = null;
+    }
+
+    this.updateTrayMenu();
+    return status;
+  }
+
   createFallbackIcon() {
     // Create a simple fallback icon
     const { nativeImage } = require('electron');
@@ -161,8 +250,27 @@ class ElectronCaptureApp {
     return screen && camera === 'granted' && mic === 'granted';
   }
 
+  // Shown at the top of the tray menu while captures can't be saved to the database
+  buildDatabaseWarningMenu() {
+    if (!this.dbManager.degraded) {
+      return [];
+    }
+
+    return [
+      { label: '⚠ Database unavailable, metadata is being journaled', enabled: false },
+      {
+        label: 'Retry Database Connection',
+        click: () => {
+          this.retryDatabase();
+        }
+      },
+      { type: 'separator' }
+    ];
+  }
+
   buildTrayContextMenu() {
     return Menu.buildFromTemplate([
+      ...this.buildDatabaseWarningMenu(),
       {
         label: 'Show App',
         click: () => {
@@ -181,30 +289,43 @@ class ElectronCaptureApp {
       {
         label: 'Take Screenshot',
         click: () => {
-          this.captureManager.captureScreenshot();
+          this.captureManager.captureScreenshot({ context: { trigger: 'tray' } });
+        }
+      },
+      {
+        label: 'Capture Region',
+        click: () => {
+          this.withMainWindowHidden(() => this.captureManager.captureRegion({ context: { trigger: 'tray' } }));
         }
       },
       {
         label: 'Take Camera Photo',
         click: () => {
-          this.captureManager.takeCameraPhoto();
+          this.captureManager.takeCameraPhoto({ context: { trigger: 'tray' } });
         }
       },
       {
         label: 'Take Composite Capture',
         click: () => {
-          this.captureManager.takeCompositeCapture();
+          this.captureManager.takeCompositeCapture({ context: { trigger: 'tray' } });
         }
       },
+      this.captureManager.isCountingDown()
+        ? { label: 'Cancel Delayed Capture', click: () => this.captureManager.cancelCountdown() }
+        : { label: 'Delayed Capture', submenu: this.buildDelayedCaptureMenu() },
       { type: 'separator' },
       {
-        label: 'Interval Captures',
+        label: this.getIntervalMenuLabel(),
         submenu: this.buildSessionsMenu()
       },
       { type: 'separator' },
       {
         label: 'Settings',
         submenu: [
+          {
+            label: 'Screenshot Display',
+            submenu: this.buildDisplayMenu()
+          },
           {
             label: 'Select Save Location',
             click: () => {
@@ -273,8 +394,7 @@ class ElectronCaptureApp {
       this.tray = new Tray(this.createFallbackIcon());
     }
 
-    this.tray.setContextMenu(this.buildTrayContextMenu());
-    this.tray.setToolTip('Capture App');
+    this.updateTrayMenu();
 
     this.tray.on('double-click', () => {
       if (this.mainWindow === null || this.mainWindow.isDestroyed()) {
@@ -289,22 +409,101 @@ class ElectronCaptureApp {
     });
   }
 
+  buildDelayedCaptureMenu() {
+    const delay = this.captureManager.getCaptureDelay();
+    const presets = [3, 5, 10];
+    if (!presets.includes(delay)) {
+      // A custom delay set in the app
+      presets.push(delay);
+    }
+
+    const selectDelay = (seconds) => {
+      this.captureManager.setCaptureDelay(seconds);
+      this.updateTrayMenu();
+    };
+
+    return [
+      { label: `Screenshot in ${delay}s`, click: () => this.startDelayedCapture({ type: 'screenshot', context: { trigger: 'tray' } }) },
+      { label: `Camera Photo in ${delay}s`, click: () => this.startDelayedCapture({ type: 'camera', context: { trigger: 'tray' } }) },
+      { label: `Composite in ${delay}s`, click: () => this.startDelayedCapture({ type: 'composite', context: { trigger: 'tray' } }) },
+      { type: 'separator' },
+      ...presets.map(seconds => ({
+        label: `${seconds} Seconds`,
+        type: 'radio',
+        checked: seconds === delay,
+        click: () => selectDelay(seconds)
+      }))
+    ];
+  }
+
+  // Counts down and captures, keeping the tray's cancel entry in step
+  async startDelayedCapture(options = {}) {
+    const capture = this.captureManager.captureDelayed(options);
+    this.updateTrayMenu();
+
+    try {
+      const result = await capture;
+      if (!result.success && !result.cancelled) {
+        console.error('Delayed capture failed:', result.error);
+      }
+      return result;
+    } finally {
+      this.updateTrayMenu();
+    }
+  }
+
+  buildDisplayMenu() {
+    const current = this.store.get('screenshotDisplay', 'primary');
+    const displays = screen.getAllDisplays();
+
+    const select = (target) => {
+      this.store.set('screenshotDisplay', target);
+      this.updateTrayMenu();
+    };
+
+    const items = [
+      { label: 'Primary Display', type: 'radio', checked: current === 'primary', click: () => select('primary') }
+    ];
+
+    displays.forEach((display, index) => {
+      items.push({
+        label: `${display.label || `Display ${index + 1}`} (${display.size.width}×${display.size.height})`,
+        type: 'radio',
+        checked: current === String(display.id),
+        click: () => select(String(display.id))
+      });
+    });
+
+    items.push(
+      { type: 'separator' },
+      { label: 'All Displays (Separate Files)', type: 'radio', checked: current === 'all', click: () => select('all') },
+      { label: 'All Displays (Stitched)', type: 'radio', checked: current === 'stitched', click: () => select('stitched') }
+    );
+
+    return items;
+  }
+
   buildSessionsMenu() {
     const sessions = this.intervalManager.getActiveSessions();
-    console.log('Building sessions menu, active sessions:', sessions.length, sessions);
 
     if (sessions.length === 0) {
       return [{ label: 'No active sessions', enabled: false }];
     }
 
-    const hasActiveSession = this.intervalManager.hasActiveSession();
+    const items = [];
+    const next = this.intervalManager.getNextScheduledCapture();
+    if (next) {
+      items.push(
+        { id: 'nextCapture', label: this.getNextCaptureLabel(next), enabled: false },
+        { type: 'separator' }
+      );
+    }
 
-    return sessions.map(session => ({
-      label: `${session.session_name || session.session_id} (${session.status})`,
+    return items.concat(sessions.map(session => ({
+      label: `${session.session_name || session.session_id} (${this.getSessionTrayStatus(session)})`,
       submenu: [
         {
           label: session.status === 'active' ? 'Pause' : 'Resume',
-          enabled: session.status === 'active' || !hasActiveSession,
           click: async () => {
             try {
               if (session.status === 'active') {
@@ -332,28 +531,158 @@ class ElectronCaptureApp {
               dialog.showErrorBox('Session Error', error.message);
             }
           }
-        }
+        },
+        ...(session.schedule_summary ? [
+          { type: 'separator' },
+          { label: `Schedule: ${session.schedule_summary}`, enabled: false }
+        ] : [])
       ]
-    }));
+    })));
+  }
+
+  getSessionTrayStatus(session) {
+    if (session.status === 'active' && session.waiting && session.next_capture_at) {
+      return `waiting until ${this.formatTrayTime(session.next_capture_at)}`;
+    }
+    const timing = session.timing_summary ? ` ${session.timing_summary}` : '';
+    if (session.trigger_summary) {
+      return `${session.status}, ${session.trigger_summary}, checked every ${session.interval_seconds}s${timing}`;
+    }
+    return `${session.status}, every ${session.interval_seconds}s${timing}`;
   }
 
+  // Time only for today, with the day for anything later
+  formatTrayTime(isoString) {
+    const date = new Date(isoString);
+    const time = date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    if (date.toDateString() === new Date().toDateString()) {
+      return time;
+    }
+    return `${date.toLocaleDateString([], { weekday: 'short', month: 'short', day: 'numeric' })} ${time}`;
+  }
+
+  getIntervalMenuLabel() {
+    const running = this.intervalManager ? this.intervalManager.getRunningSessionCount() : 0;
+    return running > 0 ? `Interval Captures (${running} running)` : 'Interval Captures';
+  }
+
+  // Rebuilds the whole menu, which closes it if it is open on Windows and
+  // Linux, so only for changes to what it lists
   updateTrayMenu() {
-    console.log('Updating tray menu...');
     if (this.tray) {
-      const sessions = this.intervalManager.getActiveSessions();
-      console.log('Active sessions for tray update:', sessions.length);
-      this.tray.setContextMenu(this.buildTrayContextMenu());
+      this.trayMenu = this.buildTrayContextMenu();
+      this.tray.setContextMenu(this.trayMenu);
+      this.tray.setToolTip(this.getTrayToolTip());
+    }
+  }
+
+  // Updates the "Next capture" item in place and the tooltip, which shows the
+  // time where menus don't redraw changed labels
+  updateNextCapture() {
+    if (!this.tray) {
+      return;
+    }
+
+    const next = this.intervalManager.getNextScheduledCapture();
+    const item = this.trayMenu ? this.trayMenu.getMenuItemById('nextCapture') : null;
+    if (item && next) {
+      item.label = this.getNextCaptureLabel(next);
+    }
+    this.tray.setToolTip(this.getTrayToolTip());
+  }
+
+  getNextCaptureLabel(next) {
+    return `Next capture: ${this.formatTrayTime(next.at)} (${next.session.session_name || next.session.session_id})`;
+  }
+
+  getTrayToolTip() {
+    if (this.dbManager.degraded) {
+      return 'Capture App (database unavailable)';
+    }
+
+    const running = this.intervalManager ? this.intervalManager.getRunningSessionCount() : 0;
+    if (running === 0) {
+      return 'Capture App';
+    }
+
+    const next = this.intervalManager.getNextScheduledCapture();
+    const nextCapture = next ? `, next capture ${this.formatTrayTime(next.at)}` : '';
+    return `Capture App (${running} interval session${running === 1 ? '' : 's'} running${nextCapture})`;
+  }
+
+  // Gets the main window out of the way so it doesn't end up in a region selection
+  async withMainWindowHidden(task) {
+    const hideMainWindow = this.mainWindow && !this.mainWindow.isDestroyed() && this.mainWindow.isVisible();
+    if (hideMainWindow) {
+      this.mainWindow.hide();
+      await new Promise(resolve => setTimeout(resolve, 250));
+    }
+
+    try {
+      return await task();
+    } finally {
+      if (hideMainWindow && !this.mainWindow.isDestroyed()) {
+        this.mainWindow.show();
+      }
     }
   }
 
   setupIPC() {
     // Screenshot operations
     ipcMain.handle('capture-screenshot', async (event, options) => {
-      return await this.captureManager.captureScreenshot(options);
+      return await this.captureManager.captureScreenshot({ ...options, context: { trigger: 'app' } });
     });
 
     ipcMain.handle('capture-region', async () => {
-      return await this.captureManager.captureRegion();
+      return await this.withMainWindowHidden(() => this.captureManager.captureRegion({ context: { trigger: 'app' } }));
+    });
+
+    ipcMain.handle('capture-delayed', async (event, options = {}) => {
+      try {
+        // The delay and type picked in the app become the tray and shortcut defaults
+        if (options.seconds !== undefined) {
+          this.captureManager.setCaptureDelay(options.seconds);
+        }
+        if (DELAYED_CAPTURE_TYPES.includes(options.type)) {
+          this.store.set('delayedCaptureType', options.type);
+        }
+
+        // Leave the screen to whatever the countdown is for
+        const capture = () => this.startDelayedCapture({ ...options, context: { trigger: 'app' } });
+        return options.type === 'camera' ? await capture() : await this.withMainWindowHidden(capture);
+      } catch (error) {
+        console.error('Delayed capture failed:', error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle('cancel-delayed-capture', () => {
+      return { success: this.captureManager.cancelCountdown() };
+    });
+
+    ipcMain.handle('get-capture-delay', () => {
+      return {
+        success: true,
+        seconds: this.captureManager.getCaptureDelay(),
+        type: this.store.get('delayedCaptureType', 'screenshot')
+      };
+    });
+
+    ipcMain.handle('select-watch-region', async () => {
+      try {
+        return await this.withMainWindowHidden(() => this.captureManager.selectWatchRegion());
+      } catch (error) {
+        console.error('Failed to select watch region:', error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle('region-selection', (event, rect) => {
+      return this.captureManager.completeRegionSelection(rect);
+    });
+
+    ipcMain.handle('enumerate-displays', async () => {
+      return await this.captureManager.enumerateDisplays();
     });
 
     // Camera operations
@@ -362,7 +691,7 @@ class ElectronCaptureApp {
     });
 
     ipcMain.handle('capture-photo', async (event, deviceId) => {
-      return await this.captureManager.takeCameraPhoto({ deviceId });
+      return await this.captureManager.takeCameraPhoto({ deviceId, context: { trigger: 'app' } });
     });
 
     // Diagnostics
@@ -372,7 +701,7 @@ class ElectronCaptureApp {
 
     // Composite capture
     ipcMain.handle('capture-composite', async () => {
-      return await this.captureManager.takeCompositeCapture();
+      return await this.captureManager.takeCompositeCapture({ context: { trigger: 'app' } });
     });
 
     // Interval operations
@@ -418,6 +747,87 @@ class ElectronCaptureApp {
       return this.intervalManager.getActiveSessions();
     });
 
+    // Database health
+    ipcMain.handle('get-database-status', async () => {
+      return await this.dbManager.getStatus();
+    });
+
+    ipcMain.handle('retry-database', async () => {
+      return await this.retryDatabase();
+    });
+
+    ipcMain.handle('get-all-sessions', async () => {
+      return await this.intervalManager.getAllSessions();
+    });
+
+    // Session history
+    ipcMain.handle('get-session-history', async () => {
+      try {
+        return { success: true, sessions: await this.sessionHistory.getSessions() };
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle('get-session-detail', async (event, sessionId) => {
+      try {
+        return { success: true, ...(await this.sessionHistory.getDetail(sessionId)) };
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle('update-session-details', async (event, sessionId, updates) => {
+      try {
+        await this.sessionHistory.updateDetails(sessionId, updates);
+        return { success: true };
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle('delete-session', async (event, sessionId) => {
+      try {
+        return { success: true, ...(await this.sessionHistory.deleteSession(sessionId)) };
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle('render-timelapse', async (event, sessionId, options = {}) => {
+      try {
+        const session = await this.dbManager.getSession(sessionId);
+        if (!session) {
+          throw new Error(`Session not found: ${sessionId}`);
+        }
+
+        const baseName = (session.session_name || session.session_id).replace(/[\\/:*?"<>|]/g, '-');
+        const result = await dialog.showSaveDialog(this.mainWindow, {
+          title: 'Save Time-lapse',
+          defaultPath: path.join(app.getPath('videos'), `${baseName} time-lapse.avi`),
+          filters: [{ name: 'AVI Video (Motion JPEG)', extensions: ['avi'] }]
+        });
+        if (result.canceled || !result.filePath) {
+          return { success: false, cancelled: true };
+        }
+
+        const rendered = await this.timelapseManager.renderSession(sessionId, result.filePath, options, (progress) => {
+          if (!event.sender.isDestroyed()) {
+            event.sender.send('timelapse-progress', { sessionId, ...progress });
+          }
+        });
+
+        shell.showItemInFolder(result.filePath);
+        return rendered;
+      } catch (error) {
+        return { success: false, cancelled: !!error.cancelled, error: error.message };
+      }
+    });
+
+    ipcMain.handle('cancel-timelapse', (event, sessionId) => {
+      return this.timelapseManager.cancel(sessionId);
+    });
+
     // File management
     ipcMain.handle('select-directory', async () => {
       const result = await dialog.showOpenDialog(this.mainWindow, {
@@ -426,12 +836,173 @@ class ElectronCaptureApp {
       return result;
     });
 
+    ipcMain.handle('get-save-location', () => {
+      return this.storageLocation.getStatus();
+    });
+
+    ipcMain.handle('validate-save-location', async (event, dirPath) => {
+      return await this.storageLocation.validate(dirPath);
+    });
+
+    ipcMain.handle('set-save-location', async (event, dirPath) => {
+      try {
+        const status = await this.storageLocation.setLocation(dirPath);
+        return { success: true, ...status };
+      } catch (error) {
+        console.error('Error setting save location:', error);
+        return { success: false, error: error.message };
+      }
+    });
+
     ipcMain.handle('get-captures', async (event, filters) => {
       return await this.dbManager.getCaptures(filters);
     });
 
-    ipcMain.handle('delete-capture', async (event, captureId) => {
-      return await this.fileManager.deleteCapture(captureId);
+    ipcMain.handle('show-capture-in-folder', async (event, captureId) => {
+      const capture = await this.dbManager.getCapture(captureId);
+      if (!capture) {
+        return false;
+      }
+      shell.showItemInFolder(capture.filepath);
+      return true;
+    });
+
+    ipcMain.handle('open-capture', async (event, captureId) => {
+      const capture = await this.dbManager.getCapture(captureId);
+      if (!capture) {
+        return false;
+      }
+      // openPath resolves with an error message, empty on success
+      const error = await shell.openPath(capture.filepath);
+      return !error;
+    });
+
+    ipcMain.handle('delete-capture', async (event, captureId, options) => {
+      try {
+        return await this.fileManager.deleteCapture(captureId, options);
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle('delete-captures', async (event, filters, options) => {
+      try {
+        return await this.fileManager.deleteCaptures(filters, options);
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle('restore-captures', async (event, captureIds) => {
+      return await this.fileManager.restoreCaptures(captureIds);
+    });
+
+    ipcMain.handle('get-trash', async () => {
+      return await this.fileManager.getTrash();
+    });
+
+    ipcMain.handle('empty-trash', async () => {
+      try {
+        return await this.fileManager.emptyTrash();
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle('get-storage-report', async () => {
+      try {
+        return { success: true, ...(await this.storageMonitor.getReport()) };
+      } catch (error) {
+        console.error('Error building storage report:', error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle('get-retention-policy', () => {
+      return {
+        policy: this.retentionManager.getPolicy(),
+        lastRun: this.retentionManager.getLastRun()
+      };
+    });
+
+    ipcMain.handle('set-retention-policy', (event, policy) => {
+      return this.retentionManager.setPolicy(policy);
+    });
+
+    // Dry run of the given (possibly unsaved) policy
+    ipcMain.handle('preview-retention', async (event, policy) => {
+      try {
+        return { success: true, ...(await this.retentionManager.preview(policy)) };
+      } catch (error) {
+        console.error('Error previewing retention:', error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle('set-session-keep-forever', async (event, sessionId, keepForever) => {
+      try {
+        await this.intervalManager.setKeepForever(sessionId, keepForever);
+        return { success: true };
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle('scan-library', async () => {
+      try {
+        return { success: true, ...(await this.fileManager.scanLibrary()) };
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle('apply-library-rescan', async (event, options = {}) => {
+      try {
+        const result = await this.fileManager.applyLibraryRescan(options);
+        if (result.imported > 0) {
+          this.captureManager.thumbnailManager.backfillMissing();
+        }
+        return result;
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle('export-captures', async (event, filters = {}, options = {}) => {
+      try {
+        const format = options.format === 'folder' ? 'folder' : 'zip';
+        const stamp = new Date().toISOString().slice(0, 19).replace('T', '_').replace(/:/g, '-');
+        const bundleName = `CaptureExport-${stamp}`;
+        let exportPath;
+
+        if (format === 'zip') {
+          const result = await dialog.showSaveDialog(this.mainWindow, {
+            title: 'Export Captures',
+            defaultPath: path.join(app.getPath('documents'), `${bundleName}.zip`),
+            filters: [{ name: 'ZIP Archive', extensions: ['zip'] }]
+          });
+          if (result.canceled || !result.filePath) {
+            return { success: false, cancelled: true };
+          }
+          exportPath = result.filePath;
+        } else {
+          const result = await dialog.showOpenDialog(this.mainWindow, {
+            title: 'Choose Export Folder',
+            properties: ['openDirectory', 'createDirectory']
+          });
+          if (result.canceled || result.filePaths.length === 0) {
+            return { success: false, cancelled: true };
+          }
+          // Export into a fresh sub-folder so we never mix with existing files
+          exportPath = path.join(result.filePaths[0], bundleName);
+        }
+
+        const result = await this.fileManager.exportCaptures(exportPath, filters, { format });
+        shell.showItemInFolder(exportPath);
+        return result;
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
     });
 
     // System tray operations
@@ -456,7 +1027,13 @@ class ElectronCaptureApp {
       return this.store.get(key);
     });
 
-    ipcMain.handle('set-setting', (event, key, value) => {
+    ipcMain.handle('set-setting', async (event, key, value) => {
+      // The save location is validated and broadcast by its own service
+      if (key === SAVE_LOCATION_KEY) {
+        await this.storageLocation.setLocation(value);
+        return;
+      }
+
       this.store.set(key, value);
 
       // If this is a camera setting, update the capture manager
@@ -536,14 +1113,18 @@ class ElectronCaptureApp {
   }
 
   registerShortcuts() {
-    const shortcuts = this.store.get('shortcutKeys', {
+    // Saved keys override the defaults, so actions added later still get one
+    const shortcuts = {
       fullScreen: 'CommandOrControl+Shift+F',
       activeWindow: 'CommandOrControl+Shift+W',
+      region: 'CommandOrControl+Shift+R',
       camera: 'CommandOrControl+Shift+C',
+      delayedCapture: 'CommandOrControl+Shift+D',
       startInterval: 'CommandOrControl+Shift+I',
       stopInterval: 'CommandOrControl+Shift+S',
-      showFromTray: 'CommandOrControl+Shift+T'
-    });
+      showFromTray: 'CommandOrControl+Shift+T',
+      ...this.store.get('shortcutKeys', {})
+    };
 
     Object.entries(shortcuts).forEach(([action, shortcut]) => {
       globalShortcut.register(shortcut, () => {
@@ -553,15 +1134,28 @@ class ElectronCaptureApp {
   }
 
   handleShortcut(action) {
+    const context = { trigger: 'shortcut' };
+
     switch (action) {
       case 'fullScreen':
-        this.captureManager.captureFullScreen();
+        this.captureManager.captureFullScreen({ context });
         break;
       case 'activeWindow':
-        this.captureManager.captureActiveWindow();
+        this.captureManager.captureActiveWindow({ context }).catch(error => {
+          dialog.showErrorBox('Window Capture Failed', error.message);
+        });
+        break;
+      case 'region':
+        this.withMainWindowHidden(() => this.captureManager.captureRegion({ context }));
         break;
       case 'camera':
-        this.captureManager.captureCamera();
+        this.captureManager.captureCamera(null, { context });
+        break;
+      case 'delayedCapture':
+        // Pressing it again during the countdown cancels
+        if (!this.captureManager.cancelCountdown()) {
+          this.startDelayedCapture({ type: this.store.get('delayedCaptureType', 'screenshot'), context });
+        }
         break;
       case 'showFromTray':
         this.mainWindow.show();
@@ -573,6 +1167,16 @@ class ElectronCaptureApp {
   }
 
   setupAppEvents() {
+    // Keep the devices table and the tray's display list in sync with what's connected
+    const onDisplaysChanged = () => {
+      this.captureManager.enumerateDisplays().catch(error => {
+        console.error('Failed to refresh displays:', error);
+      });
+      this.updateTrayMenu();
+    };
+    screen.on('display-added', onDisplaysChanged);
+    screen.on('display-removed', onDisplaysChanged);
+
     app.on('window-all-closed', () => {
       if (process.platform !== 'darwin') {
         app.quit();
@@ -598,6 +1202,31 @@ class ElectronCaptureApp {
       this.isQuitting = true;
       globalShortcut.unregisterAll();
 
+      if (this.trashPurgeTimer) {
+        clearInterval(this.trashPurgeTimer);
+        this.trashPurgeTimer = null;
+      }
+
+      if (this.retentionTimer) {
+        clearInterval(this.retentionTimer);
+        this.retentionTimer = null;
+      }
+
+      if (this.storageCheckTimer) {
+        clearInterval(this.storageCheckTimer);
+        this.storageCheckTimer = null;
+      }
+
+      if (this.databaseRetryTimer) {
+        clearInterval(this.databaseRetryTimer);
+        this.databaseRetryTimer = null;
+      }
+
+      if (this.captureManager) {
+        this.captureManager.thumbnailManager.shutdown();
+      }
+      this.timelapseManager.cancelAll();
+
       // Clean up tray to prevent multiple instances
       if (this.tray) {
         this.tray.destroy();
@@ -680,15 +1309,9 @@ class ElectronCaptureApp {
       if (!result.canceled && result.filePaths.length > 0) {
         const newSaveDir = result.filePaths[0];
 
-        // Update the save directory
-        this.store.set('saveDirectory', newSaveDir);
-        this.captureManager.saveDirectory = newSaveDir;
-
-        // Try to create a test folder to verify access
+        // Validates write access before anything switches over
         try {
-          const testDir = path.join(newSaveDir, 'test-folder');
-          await fs.mkdir(testDir, { recursive: true });
-          await fs.rmdir(testDir);
+          await this.storageLocation.setLocation(newSaveDir);
 
           dialog.showMessageBox({
             type: 'info',
@@ -702,8 +1325,8 @@ class ElectronCaptureApp {
           dialog.showMessageBox({
             type: 'warning',
             title: 'Permission Issue',
-            message: 'Limited access to selected directory',
-            detail: `The app may have limited access to the selected directory. Try selecting a different location or check app permissions.\n\nError: ${accessError.message}`,
+            message: 'Cannot save to selected directory',
+            detail: `The save location was not changed. Try selecting a different location or check app permissions.\n\nError: ${accessError.message}`,
             buttons: ['OK']
           });
         }
@@ -730,7 +1353,7 @@ class ElectronCaptureApp {
       };
 
       // Check save directory
-      const saveDir = this.store.get('saveDirectory') || app.getPath('pictures');
+      const saveDir = this.storageLocation.getLocation();
       diagnostics.saveDirectory = {
         path: saveDir,
         exists: false,
@@ -0,0 +1,167 @@
+const fs = require('fs').promises;
+
+// Most players only handle AVI 1.0 files up to 1 GB
+const MAX_AVI_SIZE = 1024 * 1024 * 1024;
+
+// Fixed header layout (bytes from the start of the file), see writeHeader()
+const HEADER_SIZE = 224;
+const RIFF_SIZE_OFFSET = 4;
+const AVIH_OFFSET = 32;
+const STRH_OFFSET = 108;
+const MOVI_SIZE_OFFSET = 216;
+const MOVI_OFFSET = 220;
+
+const AVIF_HASINDEX = 0x10;
+const AVIIF_KEYFRAME = 0x10;
+
+// Writes a Motion-JPEG AVI: every frame is a complete JPEG, so no video encoder
+// is needed and the file plays in VLC, QuickTime (with Perian), browsers etc.
+class AviWriter {
+  constructor(outputPath, { width, height, fps }) {
+    this.outputPath = outputPath;
+    this.width = width;
+    this.height = height;
+    this.fps = fps;
+    this.handle = null;
+    this.offset = 0;
+    this.index = [];
+    this.maxFrameSize = 0;
+  }
+
+  async open() {
+    this.handle = await fs.open(this.outputPath, 'w');
+    await this.write(this.buildHeader());
+  }
+
+  buildHeader() {
+    const header = Buffer.alloc(HEADER_SIZE);
+    let pos = 0;
+    const fourcc = (value) => { header.write(value, pos, 4, 'ascii'); pos += 4; };
+    const u32 = (value) => { header.writeUInt32LE(value >>> 0, pos); pos += 4; };
+    const u16 = (value) => { header.writeUInt16LE(value, pos); pos += 2; };
+
+    fourcc('RIFF'); u32(0); fourcc('AVI ');
+
+    fourcc('LIST'); u32(192); fourcc('hdrl');
+
+    // Main AVI header; frame counts and sizes are patched in close()
+    fourcc('avih'); u32(56);
+    u32(Math.round(1000000 / this.fps)); // microseconds per frame
+    u32(0); // max bytes per second
+    u32(0); // padding granularity
+    u32(AVIF_HASINDEX);
+    u32(0); // total frames
+    u32(0); // initial frames
+    u32(1); // streams
+    u32(0); // suggested buffer size
+    u32(this.width);
+    u32(this.height);
+    u32(0); u32(0); u32(0); u32(0); // reserved
+
+    fourcc('LIST'); u32(116); fourcc('strl');
+
+    fourcc('strh'); u32(56);
+    fourcc('vids'); fourcc('MJPG');
+    u32(0); // flags
+    u16(0); u16(0); // priority, language
+    u32(0); // initial frames
+    u32(1); // scale
+    u32(this.fps); // rate: rate / scale = frames per second
+    u32(0); // start
+    u32(0); // length in frames
+    u32(0); // suggested buffer size
+    u32(0xFFFFFFFF); // quality (default)
+    u32(0); // sample size
+    u16(0); u16(0); u16(this.width); u16(this.height); // frame rectangle
+
+    // BITMAPINFOHEADER
+    fourcc('strf'); u32(40);
+    u32(40);
+    u32(this.width);
+    u32(this.height);
+    u16(1); // planes
+    u16(24); // bit count
+    fourcc('MJPG');
+    u32(this.width * this.height * 3);
+    u32(0); u32(0); u32(0); u32(0);
+
+    fourcc('LIST'); u32(0); fourcc('movi');
+
+    return header;
+  }
+
+  async addFrame(jpegBuffer) {
+    // Chunks are word aligned
+    const padding = jpegBuffer.length % 2;
+    const chunkSize = 8 + jpegBuffer.length + padding;
+
+    // Leave room for this frame's index entry and the index header
+    const projected = this.offset + chunkSize + (this.index.length + 1) * 16 + 8;
+    if (projected > MAX_AVI_SIZE) {
+      throw new Error('Time-lapse is larger than 1 GB. Use a smaller scale or fewer frames.');
+    }
+
+    const chunkHeader = Buffer.alloc(8);
+    chunkHeader.write('00dc', 0, 4, 'ascii');
+    chunkHeader.writeUInt32LE(jpegBuffer.length, 4);
+
+    this.index.push({ offset: this.offset - MOVI_OFFSET, size: jpegBuffer.length });
+    this.maxFrameSize = Math.max(this.maxFrameSize, jpegBuffer.length);
+
+    await this.write(chunkHeader);
+    await this.write(jpegBuffer);
+    if (padding) {
+      await this.write(Buffer.alloc(1));
+    }
+  }
+
+  async close() {
+    const moviSize = this.offset - MOVI_OFFSET;
+
+    const idx = Buffer.alloc(8 + this.index.length * 16);
+    idx.write('idx1', 0, 4, 'ascii');
+    idx.writeUInt32LE(this.index.length * 16, 4);
+    this.index.forEach((entry, i) => {
+      const pos = 8 + i * 16;
+      idx.write('00dc', pos, 4, 'ascii');
+      idx.writeUInt32LE(AVIIF_KEYFRAME, pos + 4);
+      idx.writeUInt32LE(entry.offset, pos + 8);
+      idx.writeUInt32LE(entry.size, pos + 12);
+    });
+    await this.write(idx);
+
+    const frames = this.index.length;
+    const bufferSize = this.maxFrameSize + 8;
+
+    await this.patch(RIFF_SIZE_OFFSET, this.offset - 8);
+    await this.patch(AVIH_OFFSET + 4, Math.round(this.maxFrameSize * this.fps));
+    await this.patch(AVIH_OFFSET + 16, frames);
+    await this.patch(AVIH_OFFSET + 28, bufferSize);
+    await this.patch(STRH_OFFSET + 32, frames);
+    await this.patch(STRH_OFFSET + 36, bufferSize);
+    await this.patch(MOVI_SIZE_OFFSET, moviSize);
+
+    await this.handle.close();
+    this.handle = null;
+  }
+
+  async abort() {
+    if (this.handle) {
+      await this.handle.close();
+      this.handle = null;
+    }
+  }
+
+  async write(buffer) {
+    await this.handle.write(buffer, 0, buffer.length, this.offset);
+    this.offset += buffer.length;
+  }
+
+  async patch(position, value) {
+    const buffer = Buffer.alloc(4);
+    buffer.writeUInt32LE(value >>> 0, 0);
+    await this.handle.write(buffer, 0, 4, position);
+  }
+}
+
+module.exports = { AviWriter };
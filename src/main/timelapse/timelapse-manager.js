@@ -0,0 +1,172 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { Worker } = require('worker_threads');
+const { loadImage } = require('canvas');
+
+const DEFAULT_FPS = 12;
+const DEFAULT_SCALE = 1;
+const JPEG_QUALITY = 0.85;
+
+// Time-lapse sessions of 'both' type interleave screenshots and camera photos;
+// a video only makes sense from one of them
+const SESSION_FRAME_TYPES = {
+  screenshot: 'screenshot',
+  camera: 'camera',
+  composite: 'composite',
+  both: 'screenshot'
+};
+
+class TimelapseManager {
+  constructor(dbManager) {
+    this.dbManager = dbManager;
+    this.jobs = new Map(); // sessionId -> { worker, outputPath, cancelled }
+  }
+
+  // Renders a session's frames, oldest first, into an MJPEG AVI at outputPath.
+  // options: fps, scale (0-1], burnTimestamp, frameType; onProgress({ current, total })
+  async renderSession(sessionId, outputPath, options = {}, onProgress = () => {}) {
+    if (this.jobs.has(sessionId)) {
+      throw new Error('A time-lapse is already being rendered for this session');
+    }
+
+    const session = await this.dbManager.getSession(sessionId);
+    if (!session) {
+      throw new Error(`Session not found: ${sessionId}`);
+    }
+
+    const fps = Math.min(60, Math.max(1, Math.round(options.fps || DEFAULT_FPS)));
+    const scale = Math.min(1, Math.max(0.1, options.scale || DEFAULT_SCALE));
+    const frameType = options.frameType || SESSION_FRAME_TYPES[session.capture_type];
+
+    const frames = await this.getSessionFrames(session, frameType);
+    if (frames.length === 0) {
+      throw new Error('This session has no frames to render');
+    }
+
+    // The first frame decides the video size; encoders want even dimensions
+    const first = await loadImage(frames[0].filepath);
+    const width = Math.max(2, Math.round(first.width * scale / 2) * 2);
+    const height = Math.max(2, Math.round(first.height * scale / 2) * 2);
+
+    console.log(`Rendering time-lapse for ${sessionId}: ${frames.length} frames, ${width}x${height} @ ${fps}fps`);
+
+    return await new Promise((resolve, reject) => {
+      const worker = new Worker(path.join(__dirname, 'timelapse-worker.js'), {
+        workerData: {
+          frames,
+          outputPath,
+          width,
+          height,
+          fps,
+          quality: JPEG_QUALITY,
+          burnTimestamp: options.burnTimestamp !== false
+        }
+      });
+
+      const job = { worker, outputPath, cancelled: false };
+      this.jobs.set(sessionId, job);
+
+      const finish = async (error, result) => {
+        if (this.jobs.get(sessionId) !== job) return;
+        this.jobs.delete(sessionId);
+
+        if (error) {
+          await fs.rm(outputPath, { force: true });
+          reject(error);
+        } else {
+          resolve(result);
+        }
+      };
+
+      worker.on('message', (message) => {
+        if (message.type === 'progress') {
+          onProgress({ current: message.current, total: message.total });
+        } else if (message.type === 'done') {
+          if (message.skipped.length > 0) {
+            console.warn(`Time-lapse skipped ${message.skipped.length} unreadable frames`, message.skipped);
+          }
+          finish(null, {
+            success: true,
+            outputPath,
+            frames: message.frames,
+            skipped: message.skipped.length,
+            width,
+            height,
+            fps,
+            duration: message.frames / fps
+          });
+        } else if (message.type === 'error') {
+          finish(new Error(message.error));
+        }
+      });
+
+      worker.on('error', (error) => finish(error));
+      worker.on('exit', (code) => {
+        if (job.cancelled) {
+          const error = new Error('Time-lapse rendering was cancelled');
+          error.cancelled = true;
+          finish(error);
+        } else if (code !== 0) {
+          finish(new Error(`Time-lapse worker exited with code ${code}`));
+        }
+      });
+    });
+  }
+
+  cancel(sessionId) {
+    const job = this.jobs.get(sessionId);
+    if (!job) {
+      return false;
+    }
+
+    job.cancelled = true;
+    job.worker.terminate();
+    return true;
+  }
+
+  cancelAll() {
+    for (const sessionId of this.jobs.keys()) {
+      this.cancel(sessionId);
+    }
+  }
+
+  async getSessionFrames(session, frameType) {
+    let captures = await this.dbManager.getCaptures({ session_id: session.session_id });
+
+    // Screenshots from older sessions were saved without their session id;
+    // fall back to whatever was captured while the session ran
+    if (captures.length === 0) {
+      captures = await this.dbManager.getCaptures({
+        capture_type: frameType,
+        date_from: session.start_time,
+        date_to: session.end_time || new Date().toISOString()
+      });
+    }
+
+    let frames = captures.filter(capture => !frameType || capture.capture_type === frameType);
+
+    // "All displays" sessions save one file per display per tick; keep one display
+    const displayId = frames.length > 0 ? frames[frames.length - 1].display_id : null;
+    if (displayId) {
+      frames = frames.filter(capture => capture.display_id === displayId);
+    }
+
+    return frames
+      .map(capture => ({
+        id: capture.id,
+        filepath: capture.filepath,
+        timestamp: this.toIsoTimestamp(capture.timestamp)
+      }))
+      .sort((a, b) => a.timestamp.localeCompare(b.timestamp) || a.id - b.id);
+  }
+
+  // SQLite's CURRENT_TIMESTAMP is UTC without a zone marker
+  toIsoTimestamp(timestamp) {
+    if (/[zZ]|[+-]\d\d:?\d\d$/.test(timestamp)) {
+      return new Date(timestamp).toISOString();
+    }
+    return new Date(`${timestamp.replace(' ', 'T')}Z`).toISOString();
+  }
+}
+
+module.exports = { TimelapseManager };
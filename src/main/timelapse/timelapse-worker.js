@@ -0,0 +1,82 @@
+const { parentPort, workerData } = require('worker_threads');
+const { createCanvas, loadImage } = require('canvas');
+const { format } = require('date-fns');
+const { AviWriter } = require('./avi-writer');
+
+// Renders the frames listed in workerData into an MJPEG AVI, reporting
+// progress back to the TimelapseManager after every frame
+async function render() {
+  const { frames, outputPath, width, height, fps, quality, burnTimestamp } = workerData;
+
+  const canvas = createCanvas(width, height);
+  const ctx = canvas.getContext('2d');
+  const fontSize = Math.max(12, Math.round(height / 30));
+
+  const writer = new AviWriter(outputPath, { width, height, fps });
+  await writer.open();
+
+  let rendered = 0;
+  const skipped = [];
+
+  try {
+    for (let i = 0; i < frames.length; i++) {
+      const frame = frames[i];
+
+      try {
+        const image = await loadImage(frame.filepath);
+
+        // Letterbox frames whose size differs from the first one
+        ctx.fillStyle = '#000000';
+        ctx.fillRect(0, 0, width, height);
+        const scale = Math.min(width / image.width, height / image.height);
+        const drawWidth = image.width * scale;
+        const drawHeight = image.height * scale;
+        ctx.drawImage(image, (width - drawWidth) / 2, (height - drawHeight) / 2, drawWidth, drawHeight);
+
+        if (burnTimestamp) {
+          drawTimestamp(ctx, frame.timestamp, fontSize, height);
+        }
+
+        await writer.addFrame(canvas.toBuffer('image/jpeg', { quality }));
+        rendered++;
+      } catch (error) {
+        if (error.message.includes('larger than 1 GB')) {
+          throw error;
+        }
+        // A missing or corrupt frame shouldn't sink the whole video
+        skipped.push({ id: frame.id, error: error.message });
+      }
+
+      parentPort.postMessage({ type: 'progress', current: i + 1, total: frames.length });
+    }
+
+    if (rendered === 0) {
+      throw new Error('None of the session frames could be read');
+    }
+
+    await writer.close();
+    parentPort.postMessage({ type: 'done', frames: rendered, skipped });
+  } catch (error) {
+    await writer.abort();
+    throw error;
+  }
+}
+
+function drawTimestamp(ctx, timestamp, fontSize, height) {
+  const text = format(new Date(timestamp), 'yyyy-MM-dd HH:mm:ss');
+  const padding = Math.round(fontSize / 2);
+
+  ctx.font = `bold ${fontSize}px Arial`;
+  const textWidth = ctx.measureText(text).width;
+
+  ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+  ctx.fillRect(padding, height - fontSize - padding * 3, textWidth + padding * 2, fontSize + padding * 2);
+
+  ctx.fillStyle = '#ffffff';
+  ctx.textBaseline = 'top';
+  ctx.fillText(text, padding * 2, height - fontSize - padding * 2);
+}
+
+render().catch(error => {
+  parentPort.postMessage({ type: 'error', error: error.message });
+});
@@ -6,6 +6,13 @@ contextBridge.exposeInMainWorld('electronAPI', {
   // Screenshot operations
   captureScreenshot: (options) => ipcRenderer.invoke('capture-screenshot', options),
   captureRegion: () => ipcRenderer.invoke('capture-region'),
+  submitRegionSelection: (rect) => ipcRenderer.invoke('region-selection', rect),
+  cancelRegionSelection: () => ipcRenderer.invoke('region-selection', null),
+  selectWatchRegion: () => ipcRenderer.invoke('select-watch-region'),
+  captureDelayed: (options) => ipcRenderer.invoke('capture-delayed', options),
+  cancelDelayedCapture: () => ipcRenderer.invoke('cancel-delayed-capture'),
+  getCaptureDelay: () => ipcRenderer.invoke('get-capture-delay'),
+  enumerateDisplays: () => ipcRenderer.invoke('enumerate-displays'),
 
   // Camera operations
   enumerateCameras: () => ipcRenderer.invoke('enumerate-cameras'),
@@ -23,11 +30,37 @@ contextBridge.exposeInMainWorld('electronAPI', {
   resumeIntervalCapture: (sessionId) => ipcRenderer.invoke('resume-interval-capture', sessionId),
   stopIntervalCapture: (sessionId) => ipcRenderer.invoke('stop-interval-capture', sessionId),
   getActiveSessions: () => ipcRenderer.invoke('get-active-sessions'),
+  getDatabaseStatus: () => ipcRenderer.invoke('get-database-status'),
+  retryDatabase: () => ipcRenderer.invoke('retry-database'),
+  getAllSessions: () => ipcRenderer.invoke('get-all-sessions'),
+  getSessionHistory: () => ipcRenderer.invoke('get-session-history'),
+  getSessionDetail: (sessionId) => ipcRenderer.invoke('get-session-detail', sessionId),
+  updateSessionDetails: (sessionId, updates) => ipcRenderer.invoke('update-session-details', sessionId, updates),
+  deleteSession: (sessionId) => ipcRenderer.invoke('delete-session', sessionId),
+  renderTimelapse: (sessionId, options) => ipcRenderer.invoke('render-timelapse', sessionId, options),
+  cancelTimelapse: (sessionId) => ipcRenderer.invoke('cancel-timelapse', sessionId),
 
   // File management
   selectDirectory: () => ipcRenderer.invoke('select-directory'),
+  getSaveLocation: () => ipcRenderer.invoke('get-save-location'),
+  validateSaveLocation: (dirPath) => ipcRenderer.invoke('validate-save-location', dirPath),
+  setSaveLocation: (dirPath) => ipcRenderer.invoke('set-save-location', dirPath),
   getCaptures: (filters) => ipcRenderer.invoke('get-captures', filters),
-  deleteCapture: (captureId) => ipcRenderer.invoke('delete-capture', captureId),
+  showCaptureInFolder: (captureId) => ipcRenderer.invoke('show-capture-in-folder', captureId),
+  openCapture: (captureId) => ipcRenderer.invoke('open-capture', captureId),
+  deleteCapture: (captureId, options) => ipcRenderer.invoke('delete-capture', captureId, options),
+  deleteCaptures: (filters, options) => ipcRenderer.invoke('delete-captures', filters, options),
+  restoreCaptures: (captureIds) => ipcRenderer.invoke('restore-captures', captureIds),
+  scanLibrary: () => ipcRenderer.invoke('scan-library'),
+  applyLibraryRescan: (options) => ipcRenderer.invoke('apply-library-rescan', options),
+  exportCaptures: (filters, options) => ipcRenderer.invoke('export-captures', filters, options),
+  getTrash: () => ipcRenderer.invoke('get-trash'),
+  getStorageReport: () => ipcRenderer.invoke('get-storage-report'),
+  getRetentionPolicy: () => ipcRenderer.invoke('get-retention-policy'),
+  setRetentionPolicy: (policy) => ipcRenderer.invoke('set-retention-policy', policy),
+  previewRetention: (policy) => ipcRenderer.invoke('preview-retention', policy),
+  setSessionKeepForever: (sessionId, keepForever) => ipcRenderer.invoke('set-session-keep-forever', sessionId, keepForever),
+  emptyTrash: () => ipcRenderer.invoke('empty-trash'),
 
   // System tray operations
   minimizeToTray: () => ipcRenderer.invoke('minimize-to-tray'),
@@ -48,6 +81,14 @@ contextBridge.exposeInMainWorld('electronAPI', {
   // Event listeners
   onCaptureComplete: (callback) => ipcRenderer.on('capture-complete', callback),
   onSessionUpdate: (callback) => ipcRenderer.on('session-update', callback),
+  onSessionFailureAlert: (callback) => ipcRenderer.on('session-failure-alert', callback),
+  onTimelapseProgress: (callback) => ipcRenderer.on('timelapse-progress', callback),
+  onCountdownTick: (callback) => ipcRenderer.on('countdown-tick', callback),
+  onDatabaseStatus: (callback) => ipcRenderer.on('database-status', callback),
+  onThumbnailReady: (callback) => ipcRenderer.on('thumbnail-ready', callback),
+  onSaveLocationChanged: (callback) => ipcRenderer.on('save-location-changed', callback),
+  onRetentionApplied: (callback) => ipcRenderer.on('retention-applied', callback),
+  onStorageWarning: (callback) => ipcRenderer.on('storage-warning', callback),
   onError: (callback) => ipcRenderer.on('error', callback),
 
   // Remove listeners
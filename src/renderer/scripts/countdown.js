@@ -0,0 +1,19 @@
+// Countdown overlay for delayed captures, shown by CaptureManager.runCountdown()
+document.addEventListener('DOMContentLoaded', () => {
+    const api = window.electronAPI;
+
+    if (!api) {
+        console.error('electronAPI not exposed');
+        return;
+    }
+
+    const seconds = document.getElementById('countdownSeconds');
+
+    api.onCountdownTick((event, remaining) => {
+        seconds.textContent = remaining;
+        // Restart the pulse for every second
+        seconds.classList.remove('tick');
+        void seconds.offsetWidth;
+        seconds.classList.add('tick');
+    });
+});
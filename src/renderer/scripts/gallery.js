@@ -0,0 +1,393 @@
+// Capture gallery: a virtualized grid of captures grouped by date folder, with a lightbox viewer
+const GALLERY_TILE_SIZE = 160;
+const GALLERY_GAP = 12;
+const GALLERY_HEADER_HEIGHT = 44;
+const GALLERY_OVERSCAN_PX = 400;
+
+class CaptureGallery {
+  constructor(app) {
+    this.app = app;
+    this.captures = [];
+    this.rows = [];
+    this.totalHeight = 0;
+    this.columns = 1;
+    this.lightboxIndex = -1;
+    this.searchTimeout = null;
+    this.refreshTimeout = null;
+    this.renderFrame = null;
+
+    this.viewport = document.getElementById('galleryViewport');
+    this.spacer = document.getElementById('gallerySpacer');
+    this.status = document.getElementById('galleryStatus');
+    this.lightbox = document.getElementById('lightbox');
+  }
+
+  async init() {
+    this.setupEventListeners();
+    await this.loadSessions();
+    await this.refresh();
+  }
+
+  setupEventListeners() {
+    ['galleryType', 'galleryDateFrom', 'galleryDateTo', 'gallerySession'].forEach(id => {
+      document.getElementById(id).addEventListener('change', () => this.refresh());
+    });
+
+    // Debounce typing so we don't query on every keystroke
+    document.getElementById('gallerySearch').addEventListener('input', () => {
+      clearTimeout(this.searchTimeout);
+      this.searchTimeout = setTimeout(() => this.refresh(), 300);
+    });
+
+    document.getElementById('galleryRefreshBtn').addEventListener('click', async () => {
+      await this.loadSessions();
+      await this.refresh();
+    });
+
+    document.getElementById('galleryExportBtn').addEventListener('click', () => this.exportFiltered());
+    document.getElementById('galleryTimelapseBtn').addEventListener('click', () => {
+      this.app.showTimelapseModal(document.getElementById('gallerySession').value || null);
+    });
+
+    this.viewport.addEventListener('scroll', () => this.scheduleRender());
+    window.addEventListener('resize', () => {
+      this.buildRows();
+      this.scheduleRender();
+    });
+
+    // Tiles are re-created while scrolling, so listen on the container
+    this.spacer.addEventListener('click', (e) => {
+      const tile = e.target.closest('.gallery-tile');
+      if (tile) {
+        this.openLightbox(parseInt(tile.dataset.index));
+      }
+    });
+
+    // Thumbnails are generated in the background after a capture is saved
+    window.electronAPI.onThumbnailReady((event, { id, thumbnail_path }) => {
+      const index = this.captures.findIndex(capture => capture.id === id);
+      if (index === -1) return;
+
+      this.captures[index].thumbnail_path = thumbnail_path;
+      const img = this.spacer.querySelector(`.gallery-tile[data-index="${index}"] img`);
+      if (img) {
+        img.src = toFileUrl(thumbnail_path);
+      }
+    });
+
+    // Lightbox
+    document.getElementById('lightboxClose').addEventListener('click', () => this.closeLightbox());
+    document.getElementById('lightboxPrev').addEventListener('click', () => this.showRelative(-1));
+    document.getElementById('lightboxNext').addEventListener('click', () => this.showRelative(1));
+    document.getElementById('lightboxOpenBtn').addEventListener('click', () => this.openCurrent());
+    document.getElementById('lightboxFolderBtn').addEventListener('click', () => this.showCurrentInFolder());
+    document.getElementById('lightboxDeleteBtn').addEventListener('click', () => this.deleteCurrent());
+
+    this.lightbox.addEventListener('click', (e) => {
+      if (e.target === this.lightbox) {
+        this.closeLightbox();
+      }
+    });
+
+    document.addEventListener('keydown', (e) => {
+      if (!this.lightbox.classList.contains('active')) return;
+
+      if (e.key === 'Escape') {
+        this.closeLightbox();
+      } else if (e.key === 'ArrowLeft') {
+        this.showRelative(-1);
+      } else if (e.key === 'ArrowRight') {
+        this.showRelative(1);
+      } else if (e.key === 'Delete') {
+        this.deleteCurrent();
+      }
+    });
+  }
+
+  async loadSessions() {
+    const select = document.getElementById('gallerySession');
+    const selected = select.value;
+
+    try {
+      const sessions = await window.electronAPI.getAllSessions();
+
+      select.innerHTML = '<option value="">All sessions</option>';
+      sessions.forEach(session => {
+        const option = document.createElement('option');
+        option.value = session.session_id;
+        option.textContent = session.session_name || session.session_id;
+        select.appendChild(option);
+      });
+
+      select.value = selected;
+    } catch (error) {
+      console.error('Failed to load sessions for gallery:', error);
+    }
+  }
+
+  // Maps the filter controls onto DatabaseManager.getCaptures filters
+  getFilters() {
+    const filters = {};
+
+    const type = document.getElementById('galleryType').value;
+    if (type) filters.capture_type = type;
+
+    // Date inputs are local days, the database stores UTC timestamps
+    const from = document.getElementById('galleryDateFrom').value;
+    if (from) filters.date_from = new Date(`${from}T00:00:00`).toISOString();
+
+    const to = document.getElementById('galleryDateTo').value;
+    if (to) filters.date_to = new Date(`${to}T23:59:59.999`).toISOString();
+
+    const sessionId = document.getElementById('gallerySession').value;
+    if (sessionId) filters.session_id = sessionId;
+
+    const search = document.getElementById('gallerySearch').value.trim();
+    if (search) filters.search = search;
+
+    return filters;
+  }
+
+  // Coalesces bursts of refresh requests (e.g. several interval captures in a row)
+  scheduleRefresh() {
+    clearTimeout(this.refreshTimeout);
+    this.refreshTimeout = setTimeout(() => this.refresh(), 1000);
+  }
+
+  async refresh() {
+    try {
+      this.captures = await window.electronAPI.getCaptures(this.getFilters());
+    } catch (error) {
+      console.error('Failed to load captures:', error);
+      this.captures = [];
+    }
+
+    this.status.textContent = this.captures.length === 0 ?
+      'No captures match the current filters' :
+      `${this.captures.length} capture${this.captures.length === 1 ? '' : 's'}`;
+
+    this.buildRows();
+    this.scheduleRender(true);
+
+    // Keep the lightbox pointing at something that still exists
+    if (this.lightbox.classList.contains('active')) {
+      if (this.captures.length === 0) {
+        this.closeLightbox();
+      } else {
+        this.showCapture(Math.min(this.lightboxIndex, this.captures.length - 1));
+      }
+    }
+  }
+
+  // Flattens the captures into header and tile rows with fixed heights,
+  // which is what lets us render only the rows in view
+  buildRows() {
+    const width = this.viewport.clientWidth || GALLERY_TILE_SIZE;
+    this.columns = Math.max(1, Math.floor((width + GALLERY_GAP) / (GALLERY_TILE_SIZE + GALLERY_GAP)));
+
+    const groups = new Map();
+    this.captures.forEach((capture, index) => {
+      if (!groups.has(capture.date_folder)) {
+        groups.set(capture.date_folder, []);
+      }
+      groups.get(capture.date_folder).push(index);
+    });
+
+    this.rows = [];
+    let top = 0;
+
+    for (const [dateFolder, indexes] of groups) {
+      this.rows.push({ type: 'header', top, height: GALLERY_HEADER_HEIGHT, dateFolder, count: indexes.length });
+      top += GALLERY_HEADER_HEIGHT;
+
+      for (let i = 0; i < indexes.length; i += this.columns) {
+        const height = GALLERY_TILE_SIZE + GALLERY_GAP;
+        this.rows.push({ type: 'tiles', top, height, indexes: indexes.slice(i, i + this.columns) });
+        top += height;
+      }
+    }
+
+    this.totalHeight = top;
+    this.spacer.style.height = `${top}px`;
+  }
+
+  scheduleRender(force = false) {
+    if (force) {
+      this.renderedRange = null;
+    }
+    if (this.renderFrame) return;
+
+    this.renderFrame = requestAnimationFrame(() => {
+      this.renderFrame = null;
+      this.render();
+    });
+  }
+
+  render() {
+    const viewTop = this.viewport.scrollTop - GALLERY_OVERSCAN_PX;
+    const viewBottom = this.viewport.scrollTop + this.viewport.clientHeight + GALLERY_OVERSCAN_PX;
+
+    let first = this.rows.findIndex(row => row.top + row.height >= viewTop);
+    if (first === -1) first = this.rows.length;
+    let last = first;
+    while (last < this.rows.length && this.rows[last].top <= viewBottom) {
+      last++;
+    }
+
+    // Nothing changed since the last render
+    if (this.renderedRange && this.renderedRange.first === first && this.renderedRange.last === last) {
+      return;
+    }
+    this.renderedRange = { first, last };
+
+    this.spacer.innerHTML = this.rows.slice(first, last).map(row => {
+      if (row.type === 'header') {
+        return `
+          <div class="gallery-date-header" style="top: ${row.top}px">
+            <i class="fas fa-calendar-day"></i> ${row.dateFolder}
+            <span>${row.count} capture${row.count === 1 ? '' : 's'}</span>
+          </div>
+        `;
+      }
+
+      return `
+        <div class="gallery-row" style="top: ${row.top}px">
+          ${row.indexes.map(index => this.renderTile(index)).join('')}
+        </div>
+      `;
+    }).join('');
+  }
+
+  renderTile(index) {
+    const capture = this.captures[index];
+    const src = toFileUrl(capture.thumbnail_path || capture.filepath);
+    const time = new Date(capture.timestamp.replace(' ', 'T') + 'Z').toLocaleTimeString();
+
+    return `
+      <div class="gallery-tile${capture.file_missing ? ' missing' : ''}" data-index="${index}" title="${escapeHtml(capture.filename)}">
+        ${capture.file_missing ?
+          '<div class="gallery-tile-missing"><i class="fas fa-unlink"></i><span>File missing</span></div>' :
+          `<img src="${src}" loading="lazy" decoding="async" alt="">`}
+        <div class="gallery-tile-info">
+          <span class="gallery-tile-type">${escapeHtml(capture.capture_type)}</span>
+          <span>${time}</span>
+        </div>
+      </div>
+    `;
+  }
+
+  // Exports exactly what the gallery is showing
+  async exportFiltered() {
+    if (this.captures.length === 0) {
+      this.app.showToast('No captures to export', 'error');
+      return;
+    }
+
+    const button = document.getElementById('galleryExportBtn');
+    button.disabled = true;
+
+    try {
+      const format = document.getElementById('galleryExportFormat').value;
+      const result = await window.electronAPI.exportCaptures(this.getFilters(), { format });
+
+      if (result.cancelled) return;
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+
+      const missingNote = result.missing.length > 0 ? ` (${result.missing.length} missing on disk)` : '';
+      this.app.showToast(`Exported ${result.exported} captures${missingNote}`, 'success');
+    } catch (error) {
+      console.error('Export failed:', error);
+      this.app.showToast('Export failed: ' + error.message, 'error');
+    } finally {
+      button.disabled = false;
+    }
+  }
+
+  // Lightbox
+  openLightbox(index) {
+    this.lightbox.classList.add('active');
+    this.showCapture(index);
+  }
+
+  closeLightbox() {
+    this.lightbox.classList.remove('active');
+    document.getElementById('lightboxImage').removeAttribute('src');
+    this.lightboxIndex = -1;
+  }
+
+  showRelative(offset) {
+    const index = this.lightboxIndex + offset;
+    if (index >= 0 && index < this.captures.length) {
+      this.showCapture(index);
+    }
+  }
+
+  showCapture(index) {
+    const capture = this.captures[index];
+    if (!capture) return;
+
+    this.lightboxIndex = index;
+    document.getElementById('lightboxImage').src = toFileUrl(capture.filepath);
+
+    const details = [
+      capture.filename,
+      new Date(capture.timestamp.replace(' ', 'T') + 'Z').toLocaleString(),
+      capture.width && capture.height ? `${capture.width}×${capture.height}` : null,
+      capture.file_size ? `${(capture.file_size / 1024).toFixed(0)} KB` : null,
+      capture.file_missing ? 'File missing on disk' : null,
+      `${index + 1} of ${this.captures.length}`
+    ].filter(Boolean);
+    document.getElementById('lightboxInfo').textContent = details.join(' • ');
+
+    document.getElementById('lightboxPrev').disabled = index === 0;
+    document.getElementById('lightboxNext').disabled = index === this.captures.length - 1;
+  }
+
+  getCurrentCapture() {
+    return this.captures[this.lightboxIndex] || null;
+  }
+
+  async openCurrent() {
+    const capture = this.getCurrentCapture();
+    if (!capture) return;
+
+    const opened = await window.electronAPI.openCapture(capture.id);
+    if (!opened) {
+      this.app.showToast('Could not open the file. It may have been moved or deleted.', 'error');
+    }
+  }
+
+  async showCurrentInFolder() {
+    const capture = this.getCurrentCapture();
+    if (capture) {
+      await window.electronAPI.showCaptureInFolder(capture.id);
+    }
+  }
+
+  async deleteCurrent() {
+    const capture = this.getCurrentCapture();
+    if (!capture) return;
+
+    try {
+      const result = await window.electronAPI.deleteCapture(capture.id);
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+
+      this.app.showToast('Capture moved to trash', 'success', {
+        label: 'Undo',
+        onClick: async () => {
+          await window.electronAPI.restoreCaptures([capture.id]);
+          await this.refresh();
+        }
+      });
+
+      await this.refresh();
+    } catch (error) {
+      console.error('Failed to delete capture:', error);
+      this.app.showToast('Failed to delete capture: ' + error.message, 'error');
+    }
+  }
+}
@@ -5,22 +5,34 @@ class CaptureApp {
   constructor() {
     this.activeSessions = [];
     this.cameras = [];
+    this.displays = [];
     this.sessionRefreshInterval = null;
     this.defaultIntervalSettings = null;
     this.autoStartTimeout = null;
     this.cameraStream = null;
+    this.timelapseSessionId = null; // Session currently being rendered
+    this.watchRegion = null; // Part of a display a new change-triggered session watches
+    this.rescanScannedAt = null; // Identifies the scan the rescan modal shows
+    this.gallery = new CaptureGallery(this);
+    this.storage = new StorageDashboard(this);
+    this.history = new SessionHistoryView(this);
     this.init();
   }
 
   async init() {
     try {
       await this.loadCameras();
+      await this.loadDisplays();
       await this.loadActiveSessions();
       await this.loadSettings();
+      await this.loadDatabaseStatus();
       this.setupEventListeners();
       this.startSessionRefreshTimer();
       this.setupIpcListeners();
       this.updateStatusBar();
+      await this.gallery.init();
+      await this.storage.init();
+      await this.history.init();
 
       // Set a timeout to auto-start interval capture if enabled
       if (this.defaultIntervalSettings && this.defaultIntervalSettings.autoStart) {
@@ -34,9 +46,6 @@ class CaptureApp {
   // Load default interval settings
   async loadSettings() {
     try {
-      // Load default save location
-      const saveLocation = await window.electronAPI.getSetting('defaultSaveLocation');
-
       // Load default interval settings
       const defaultIntervalSettings = await window.electronAPI.getSetting('defaultIntervalSettings');
 
@@ -69,12 +78,10 @@ class CaptureApp {
     if (!statusElement) return;
 
     try {
-      const saveLocation = await window.electronAPI.getSetting('defaultSaveLocation');
-      if (saveLocation) {
-        statusElement.textContent = `Save location: ${saveLocation}`;
-      } else {
-        statusElement.textContent = 'No directory set';
-      }
+      const saveLocation = await window.electronAPI.getSaveLocation();
+      statusElement.textContent = saveLocation.isCustom
+        ? `Save location: ${saveLocation.path}`
+        : `Save location: ${saveLocation.path} (default)`;
     } catch (error) {
       console.error('Failed to get directory status:', error);
       statusElement.textContent = 'Error checking directory';
@@ -95,6 +102,50 @@ class CaptureApp {
     }
   }
 
+  async loadDatabaseStatus() {
+    try {
+      this.renderDatabaseStatus(await window.electronAPI.getDatabaseStatus());
+    } catch (error) {
+      console.error('Failed to load database status:', error);
+    }
+  }
+
+  // Stays visible for as long as the database is unavailable
+  renderDatabaseStatus(status) {
+    const banner = document.getElementById('databaseBanner');
+
+    if (!status.degraded) {
+      banner.style.display = 'none';
+      return;
+    }
+
+    const pending = status.pendingEntries > 0 ? ` ${status.pendingEntries} change${status.pendingEntries === 1 ? ' is' : 's are'} waiting to be saved.` : '';
+    document.getElementById('databaseBannerText').textContent =
+      `The capture database could not be opened (${status.reason}). Captures are still saved to disk and their details are kept in a journal until the database is back.${pending}`;
+    banner.style.display = 'flex';
+  }
+
+  async retryDatabase() {
+    const button = document.getElementById('retryDatabaseBtn');
+    button.disabled = true;
+
+    try {
+      const status = await window.electronAPI.retryDatabase();
+      this.renderDatabaseStatus(status);
+
+      if (status.degraded) {
+        this.showToast('Database is still unavailable', 'error');
+      } else {
+        this.showToast('Database reconnected', 'success');
+        await this.gallery.refresh();
+      }
+    } catch (error) {
+      this.showToast('Failed to reconnect: ' + error.message, 'error');
+    } finally {
+      button.disabled = false;
+    }
+  }
+
   // Schedule auto-start of interval capture
   scheduleAutoStart() {
     // Clear any existing timeout
@@ -120,10 +171,11 @@ class CaptureApp {
         return;
       }
 
-      // Check if we have a save location
-      const saveLocation = await window.electronAPI.getSetting('defaultSaveLocation');
-      if (!saveLocation) {
-        this.showToast('No save directory set. Please set a directory first.', 'error');
+      // The default location is fine too, as long as it can be written to
+      const saveLocation = await window.electronAPI.getSaveLocation();
+      const check = await window.electronAPI.validateSaveLocation(saveLocation.path);
+      if (!check.valid) {
+        this.showToast(`Cannot save captures to ${saveLocation.path}: ${check.error}`, 'error');
         return;
       }
 
@@ -140,7 +192,10 @@ class CaptureApp {
       };
 
       console.log('Starting default interval session with config:', config);
-      const sessionId = await window.electronAPI.startIntervalCapture(config);
+      const result = await window.electronAPI.startIntervalCapture(config);
+      if (!result.success) {
+        throw new Error(result.error);
+      }
 
       this.showToast('Auto interval session started successfully!', 'success');
 
@@ -156,8 +211,10 @@ class CaptureApp {
   setupEventListeners() {
     // Quick action buttons
     document.getElementById('screenshotBtn').addEventListener('click', () => this.takeScreenshot());
+    document.getElementById('regionBtn').addEventListener('click', () => this.takeRegionScreenshot());
     document.getElementById('cameraBtn').addEventListener('click', () => this.takePhoto());
     document.getElementById('compositeBtn').addEventListener('click', () => this.takeComposite());
+    document.getElementById('delayedBtn').addEventListener('click', () => this.showDelayedModal());
     document.getElementById('intervalBtn').addEventListener('click', () => this.showIntervalModal());
     document.getElementById('directoryBtn').addEventListener('click', () => this.selectDirectory());
 
@@ -168,9 +225,39 @@ class CaptureApp {
     // Modal controls
     this.setupModalControls();
 
+    // Delayed capture form
+    document.getElementById('delayedForm').addEventListener('submit', (e) => this.startDelayedCapture(e));
+    document.getElementById('delayedSeconds').addEventListener('change', (e) => {
+      document.getElementById('delayedCustomSeconds').style.display = e.target.value === 'custom' ? 'block' : 'none';
+    });
+
     // Interval form
     document.getElementById('intervalForm').addEventListener('submit', (e) => this.startIntervalSession(e));
     document.getElementById('captureType').addEventListener('change', (e) => this.toggleCameraGroup(e));
+    document.getElementById('timingMode').addEventListener('change', (e) => {
+      document.getElementById('jitterGroup').style.display = e.target.value === 'jitter' ? 'block' : 'none';
+    });
+    document.getElementById('idleAction').addEventListener('change', (e) => this.toggleIdleOptions(e.target.value));
+    document.getElementById('triggerMode').addEventListener('change', () => this.toggleTriggerOptions());
+    document.getElementById('selectWatchRegionBtn').addEventListener('click', () => this.selectWatchRegion());
+    document.getElementById('clearWatchRegionBtn').addEventListener('click', () => this.setWatchRegion(null));
+    document.getElementById('dedupMode').addEventListener('change', (e) => {
+      document.getElementById('dedupSimilarityGroup').style.display = e.target.value === 'skip' ? 'block' : 'none';
+    });
+
+    document.getElementById('retryDatabaseBtn').addEventListener('click', () => this.retryDatabase());
+
+    // Time-lapse form
+    document.getElementById('timelapseForm').addEventListener('submit', (e) => this.renderTimelapse(e));
+    document.getElementById('timelapseSession').addEventListener('change', () => this.updateTimelapseDuration());
+    document.getElementById('timelapseFps').addEventListener('input', () => this.updateTimelapseDuration());
+    document.getElementById('cancelTimelapse').addEventListener('click', () => {
+      if (this.timelapseSessionId) {
+        window.electronAPI.cancelTimelapse(this.timelapseSessionId);
+      } else {
+        this.closeModal(document.getElementById('timelapseModal'));
+      }
+    });
 
     // Settings form
     document.getElementById('settingsForm').addEventListener('submit', (e) => this.saveSettings(e));
@@ -188,6 +275,43 @@ class CaptureApp {
       }
     });
 
+    // Library rescan
+    document.getElementById('rescanLibraryBtn').addEventListener('click', () => this.showRescanModal());
+    document.getElementById('applyRescanBtn').addEventListener('click', () => this.applyRescan());
+    document.getElementById('cancelRescan').addEventListener('click', () => {
+      this.closeModal(document.getElementById('rescanModal'));
+    });
+
+    // Session card buttons, delegated since the cards are re-rendered
+    document.getElementById('sessionsContainer').addEventListener('click', (e) => {
+      const button = e.target.closest('[data-session-action]');
+      const card = e.target.closest('.session-card');
+      if (!button || !card) return;
+
+      const sessionId = card.dataset.sessionId;
+      const actions = {
+        pause: () => this.pauseSession(sessionId),
+        resume: () => this.resumeSession(sessionId),
+        timelapse: () => this.showTimelapseModal(sessionId),
+        pin: () => this.toggleSessionKeepForever(sessionId),
+        stop: () => this.stopSession(sessionId)
+      };
+      actions[button.dataset.sessionAction]();
+    });
+
+    // Trash
+    document.getElementById('emptyTrashBtn').addEventListener('click', () => this.emptyTrash());
+    document.getElementById('restoreTrashBtn').addEventListener('click', () => this.restoreTrash());
+    document.getElementById('trashList').addEventListener('click', (event) => {
+      const button = event.target.closest('[data-restore-id]');
+      if (button) {
+        this.restoreTrash([Number(button.dataset.restoreId)]);
+      }
+    });
+
+    // Retention
+    document.getElementById('previewRetentionBtn').addEventListener('click', () => this.previewRetention());
+
     // Permission buttons
     document.getElementById('resetPermissionsBtn').addEventListener('click', () => this.resetPermissions());
     document.getElementById('openPrivacySettingsBtn').addEventListener('click', () => this.openPrivacySettings());
@@ -206,6 +330,9 @@ class CaptureApp {
     document.getElementById('cancelInterval').addEventListener('click', () => {
       this.closeModal(document.getElementById('intervalModal'));
     });
+    document.getElementById('cancelDelayed').addEventListener('click', () => {
+      this.closeModal(document.getElementById('delayedModal'));
+    });
   }
 
   async takeScreenshot() {
@@ -213,6 +340,7 @@ class CaptureApp {
       console.log('Taking screenshot...');
       const result = await window.electronAPI.captureScreenshot({ type: 'fullscreen' });
       this.showToast('Screenshot captured successfully!', 'success');
+      this.gallery.scheduleRefresh();
       console.log('Screenshot result:', result);
     } catch (error) {
       console.error('Screenshot error:', error);
@@ -220,11 +348,31 @@ class CaptureApp {
     }
   }
 
+  async takeRegionScreenshot() {
+    try {
+      console.log('Taking region screenshot...');
+      const result = await window.electronAPI.captureRegion();
+      if (result.cancelled) {
+        return;
+      }
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+      this.showToast(`Region captured (${result.region.width}×${result.region.height})`, 'success');
+      this.gallery.scheduleRefresh();
+      console.log('Region result:', result);
+    } catch (error) {
+      console.error('Region screenshot error:', error);
+      this.showToast('Failed to capture region: ' + error.message, 'error');
+    }
+  }
+
   async takePhoto() {
     try {
       console.log('Taking photo...');
       const result = await window.electronAPI.capturePhoto();
       this.showToast('Photo captured successfully!', 'success');
+      this.gallery.scheduleRefresh();
       console.log('Photo result:', result);
     } catch (error) {
       console.error('Photo error:', error);
@@ -237,6 +385,7 @@ class CaptureApp {
       console.log('Taking composite capture...');
       const result = await window.electronAPI.captureComposite();
       this.showToast('Composite image captured successfully!', 'success');
+      this.gallery.scheduleRefresh();
       console.log('Composite result:', result);
     } catch (error) {
       console.error('Composite capture error:', error);
@@ -244,14 +393,65 @@ class CaptureApp {
     }
   }
 
+  // Starts from the last delay and type used, which the tray and shortcut use too
+  async showDelayedModal() {
+    try {
+      const result = await window.electronAPI.getCaptureDelay();
+      if (result.success) {
+        const preset = ['3', '5', '10'].includes(String(result.seconds));
+        document.getElementById('delayedType').value = result.type;
+        document.getElementById('delayedSeconds').value = preset ? String(result.seconds) : 'custom';
+        document.getElementById('delayedCustomSeconds').value = result.seconds;
+        document.getElementById('delayedCustomSeconds').style.display = preset ? 'none' : 'block';
+      }
+    } catch (error) {
+      console.error('Failed to load capture delay:', error);
+    }
+
+    document.getElementById('delayedModal').classList.add('active');
+  }
+
+  async startDelayedCapture(e) {
+    e.preventDefault();
+
+    const type = document.getElementById('delayedType').value;
+    const choice = document.getElementById('delayedSeconds').value;
+    const seconds = parseInt(choice === 'custom' ? document.getElementById('delayedCustomSeconds').value : choice);
+
+    this.closeModal(document.getElementById('delayedModal'));
+
+    try {
+      if (type === 'camera') {
+        this.showToast(`Taking a photo in ${seconds}s...`, 'info');
+      }
+      const result = await window.electronAPI.captureDelayed({ type, seconds });
+      if (result.cancelled) {
+        this.showToast('Delayed capture cancelled', 'info');
+        return;
+      }
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+      this.showToast('Delayed capture saved', 'success');
+      this.gallery.scheduleRefresh();
+    } catch (error) {
+      console.error('Delayed capture error:', error);
+      this.showToast('Delayed capture failed: ' + error.message, 'error');
+    }
+  }
+
   async selectDirectory() {
     try {
       console.log('Selecting directory...');
       const result = await window.electronAPI.selectDirectory();
       if (!result.canceled && result.filePaths.length > 0) {
-        await window.electronAPI.setSetting('defaultSaveLocation', result.filePaths[0]);
-        this.updateDirectoryStatus();
-        this.showToast('Save location updated successfully!', 'success');
+        // Status bar and gallery refresh on the save-location-changed event
+        const response = await window.electronAPI.setSaveLocation(result.filePaths[0]);
+        if (response.success) {
+          this.showToast('Save location updated successfully!', 'success');
+        } else {
+          this.showToast('Failed to set save location: ' + response.error, 'error');
+        }
       }
     } catch (error) {
       console.error('Directory selection error:', error);
@@ -272,6 +472,160 @@ class CaptureApp {
     modal.classList.add('active');
   }
 
+  // Runs a dry-run scan and shows what applying it would change
+  async showRescanModal() {
+    const results = document.getElementById('rescanResults');
+    const applyBtn = document.getElementById('applyRescanBtn');
+
+    results.innerHTML = '<p>Scanning...</p>';
+    applyBtn.disabled = true;
+    this.rescanScannedAt = null;
+    document.getElementById('rescanModal').classList.add('active');
+
+    try {
+      const scan = await window.electronAPI.scanLibrary();
+      if (!scan.success) {
+        throw new Error(scan.error);
+      }
+
+      const listItems = (items) => {
+        const shown = items.slice(0, 50).map(item => `<li>${escapeHtml(item.filepath)}</li>`).join('');
+        const more = items.length > 50 ? `<li>…and ${items.length - 50} more</li>` : '';
+        return `<ul>${shown}${more}</ul>`;
+      };
+
+      const hasChanges = scan.untracked.length > 0 || scan.missing.length > 0 || scan.reappeared.length > 0;
+
+      results.innerHTML = `
+        <p>${scan.filesOnDisk} capture files in <code>${escapeHtml(scan.saveLocation)}</code>, ${scan.trackedRows} database records.</p>
+        ${scan.untracked.length > 0 ? `<h5>${scan.untracked.length} untracked file${scan.untracked.length === 1 ? '' : 's'}</h5>${listItems(scan.untracked)}` : ''}
+        ${scan.missing.length > 0 ? `<h5>${scan.missing.length} record${scan.missing.length === 1 ? '' : 's'} with no file</h5>${listItems(scan.missing)}` : ''}
+        ${scan.reappeared.length > 0 ? `<h5>${scan.reappeared.length} missing file${scan.reappeared.length === 1 ? '' : 's'} found again</h5>${listItems(scan.reappeared)}` : ''}
+        ${hasChanges ? '' : '<p><strong>Library and database are in sync.</strong></p>'}
+      `;
+      this.rescanScannedAt = scan.scannedAt;
+      applyBtn.disabled = !hasChanges;
+    } catch (error) {
+      console.error('Library scan failed:', error);
+      results.innerHTML = '';
+      results.textContent = 'Scan failed: ' + error.message;
+    }
+  }
+
+  async applyRescan() {
+    const applyBtn = document.getElementById('applyRescanBtn');
+    applyBtn.disabled = true;
+
+    try {
+      const result = await window.electronAPI.applyLibraryRescan({
+        scannedAt: this.rescanScannedAt,
+        importUntracked: document.getElementById('rescanImport').checked,
+        missing: document.getElementById('rescanMissing').value
+      });
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+
+      const parts = [
+        result.imported > 0 ? `${result.imported} imported` : null,
+        result.importFailed.length > 0 ? `${result.importFailed.length} could not be imported` : null,
+        result.flagged > 0 ? `${result.flagged} flagged missing` : null,
+        result.pruned > 0 ? `${result.pruned} records removed` : null,
+        result.restored > 0 ? `${result.restored} found again` : null
+      ].filter(Boolean);
+
+      this.showToast(`Rescan applied: ${parts.join(', ') || 'nothing to change'}`, 'success');
+      this.closeModal(document.getElementById('rescanModal'));
+      await this.gallery.refresh();
+    } catch (error) {
+      console.error('Rescan failed:', error);
+      this.showToast('Rescan failed: ' + error.message, 'error');
+      applyBtn.disabled = false;
+    }
+  }
+
+  async showTimelapseModal(sessionId = null) {
+    const select = document.getElementById('timelapseSession');
+
+    try {
+      const sessions = await window.electronAPI.getAllSessions();
+      if (sessions.length === 0) {
+        this.showToast('No interval sessions to render yet', 'info');
+        return;
+      }
+
+      select.innerHTML = '';
+      sessions.forEach(session => {
+        const option = document.createElement('option');
+        option.value = session.session_id;
+        option.dataset.captureCount = session.capture_count || 0;
+        option.textContent = `${session.session_name || session.session_id} • ${session.capture_count || 0} captures`;
+        select.appendChild(option);
+      });
+
+      if (sessionId) {
+        select.value = sessionId;
+      }
+    } catch (error) {
+      this.showToast('Failed to load sessions: ' + error.message, 'error');
+      return;
+    }
+
+    this.updateTimelapseDuration();
+    document.getElementById('timelapseModal').classList.add('active');
+  }
+
+  updateTimelapseDuration() {
+    const option = document.getElementById('timelapseSession').selectedOptions[0];
+    const fps = parseInt(document.getElementById('timelapseFps').value) || 1;
+    const frames = option ? parseInt(option.dataset.captureCount) : 0;
+
+    document.getElementById('timelapseDuration').textContent =
+      `About ${(frames / fps).toFixed(1)}s of video from ${frames} captures`;
+  }
+
+  async renderTimelapse(e) {
+    e.preventDefault();
+    if (this.timelapseSessionId) return;
+
+    const sessionId = document.getElementById('timelapseSession').value;
+    const options = {
+      fps: parseInt(document.getElementById('timelapseFps').value),
+      scale: parseFloat(document.getElementById('timelapseScale').value),
+      burnTimestamp: document.getElementById('timelapseTimestamp').checked
+    };
+
+    const renderBtn = document.getElementById('renderTimelapseBtn');
+    const progressGroup = document.getElementById('timelapseProgressGroup');
+
+    this.timelapseSessionId = sessionId;
+    renderBtn.disabled = true;
+    progressGroup.style.display = 'block';
+    document.getElementById('timelapseProgress').value = 0;
+    document.getElementById('timelapseProgressText').textContent = 'Preparing frames...';
+
+    try {
+      const result = await window.electronAPI.renderTimelapse(sessionId, options);
+
+      if (result.success) {
+        const skippedNote = result.skipped > 0 ? `, ${result.skipped} unreadable frames skipped` : '';
+        this.showToast(`Time-lapse saved (${result.frames} frames, ${result.duration.toFixed(1)}s${skippedNote})`, 'success');
+        this.closeModal(document.getElementById('timelapseModal'));
+      } else if (result.cancelled) {
+        this.showToast('Time-lapse cancelled', 'info');
+      } else {
+        throw new Error(result.error);
+      }
+    } catch (error) {
+      console.error('Time-lapse error:', error);
+      this.showToast('Failed to render time-lapse: ' + error.message, 'error');
+    } finally {
+      this.timelapseSessionId = null;
+      renderBtn.disabled = false;
+      progressGroup.style.display = 'none';
+    }
+  }
+
   closeModal(modal) {
     modal.classList.remove('active');
 
@@ -288,6 +642,48 @@ class CaptureApp {
     } else {
       cameraGroup.style.display = 'none';
     }
+
+    const displayGroup = document.getElementById('displayGroup');
+    if (e.target.value === 'screenshot' || e.target.value === 'both') {
+      displayGroup.style.display = 'block';
+    } else {
+      displayGroup.style.display = 'none';
+    }
+
+    this.toggleTriggerOptions();
+  }
+
+  // Change triggers are for screenshot sessions, which then never save repeats
+  // and don't need duplicate skipping
+  toggleTriggerOptions() {
+    const captureType = document.getElementById('captureType').value;
+    const onChange = captureType === 'screenshot' && document.getElementById('triggerMode').value === 'change';
+
+    document.getElementById('triggerGroup').style.display = captureType === 'screenshot' ? 'block' : 'none';
+    document.getElementById('changeOptionsGroup').style.display = onChange ? 'block' : 'none';
+    document.getElementById('dedupGroup').style.display =
+      (captureType === 'screenshot' || captureType === 'both') && !onChange ? 'block' : 'none';
+  }
+
+  async selectWatchRegion() {
+    try {
+      const result = await window.electronAPI.selectWatchRegion();
+      if (result.cancelled) return;
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+      this.setWatchRegion(result.region);
+    } catch (error) {
+      this.showToast('Failed to select region: ' + error.message, 'error');
+    }
+  }
+
+  setWatchRegion(region) {
+    this.watchRegion = region;
+    document.getElementById('watchRegionLabel').textContent = region
+      ? `${Math.round(region.width * 100)}% × ${Math.round(region.height * 100)}% of display at ${Math.round(region.x * 100)}%, ${Math.round(region.y * 100)}%`
+      : 'Whole screen';
+    document.getElementById('clearWatchRegionBtn').style.display = region ? 'inline-block' : 'none';
   }
 
   async startIntervalSession(e) {
@@ -297,23 +693,70 @@ class CaptureApp {
       const captureType = document.getElementById('captureType').value;
       const needsCamera = captureType === 'camera' || captureType === 'both';
 
+      const displayTarget = document.getElementById('displayTarget').value;
+
       const config = {
         session_name: document.getElementById('sessionName').value || null,
         capture_type: captureType,
         interval_seconds: parseInt(document.getElementById('intervalSeconds').value),
         max_captures: document.getElementById('maxCaptures').value ?
           parseInt(document.getElementById('maxCaptures').value) : null,
-        device_id: needsCamera ? document.getElementById('cameraDevice').value : null
+        device_id: needsCamera ? document.getElementById('cameraDevice').value : null,
+        capture_settings: displayTarget ? { display: displayTarget } : {}
       };
 
+      const schedule = this.getScheduleFromForm();
+      if (schedule) {
+        config.capture_settings.schedule = schedule;
+      }
+
+      const idleAction = document.getElementById('idleAction').value;
+      if (idleAction !== 'none') {
+        config.capture_settings.idle = {
+          action: idleAction,
+          thresholdMinutes: parseFloat(document.getElementById('idleThreshold').value),
+          slowFactor: idleAction === 'slow' ? parseInt(document.getElementById('idleSlowFactor').value) : null
+        };
+      }
+
+      const onChange = captureType === 'screenshot' && document.getElementById('triggerMode').value === 'change';
+      if (onChange) {
+        config.capture_settings.trigger = {
+          mode: 'change',
+          threshold: parseFloat(document.getElementById('changeThreshold').value),
+          region: this.watchRegion || null
+        };
+      } else if ((captureType === 'screenshot' || captureType === 'both') && document.getElementById('dedupMode').value === 'skip') {
+        config.capture_settings.dedup = {
+          similarity: parseFloat(document.getElementById('dedupSimilarity').value)
+        };
+      }
+
+      const timingMode = document.getElementById('timingMode').value;
+      if (timingMode !== 'fixed') {
+        config.capture_settings.timing = {
+          mode: timingMode,
+          jitterPercent: timingMode === 'jitter' ? parseFloat(document.getElementById('jitterPercent').value) : null
+        };
+      }
+
       console.log('Starting interval session with config:', config);
-      const sessionId = await window.electronAPI.startIntervalCapture(config);
+      const result = await window.electronAPI.startIntervalCapture(config);
+      if (!result.success) {
+        // e.g. a schedule that is malformed or already over
+        throw new Error(result.error);
+      }
 
       this.closeModal(document.getElementById('intervalModal'));
       this.showToast('Interval session started successfully!', 'success');
 
       // Reset form
       e.target.reset();
+      document.getElementById('jitterGroup').style.display = 'none';
+      document.getElementById('dedupSimilarityGroup').style.display = 'none';
+      this.setWatchRegion(null);
+      this.toggleTriggerOptions();
+      this.toggleIdleOptions('none');
 
       // Refresh active sessions
       await this.loadActiveSessions();
@@ -324,6 +767,33 @@ class CaptureApp {
     }
   }
 
+  toggleIdleOptions(action) {
+    document.getElementById('idleOptionsGroup').style.display = action === 'none' ? 'none' : 'block';
+    document.getElementById('idleSlowGroup').style.display = action === 'slow' ? 'block' : 'none';
+  }
+
+  // The main process validates the schedule, this only collects what was filled in
+  getScheduleFromForm() {
+    const value = (id) => document.getElementById(id).value;
+    const schedule = {};
+
+    if (value('scheduleStartTime') || value('scheduleEndTime')) {
+      schedule.activeHours = { start: value('scheduleStartTime'), end: value('scheduleEndTime') };
+    }
+
+    const weekdays = Array.from(document.querySelectorAll('#scheduleWeekdays input:checked'))
+      .map(input => parseInt(input.value));
+    if (weekdays.length > 0) {
+      schedule.weekdays = weekdays;
+    }
+
+    if (value('scheduleStartDate')) schedule.startDate = value('scheduleStartDate');
+    if (value('scheduleEndDate')) schedule.endDate = value('scheduleEndDate');
+    if (value('scheduleDuration')) schedule.durationMinutes = parseFloat(value('scheduleDuration'));
+
+    return Object.keys(schedule).length > 0 ? schedule : null;
+  }
+
   async loadCameras() {
     try {
       this.cameras = await window.electronAPI.enumerateCameras();
@@ -375,6 +845,60 @@ class CaptureApp {
     }
   }
 
+  async loadDisplays() {
+    try {
+      this.displays = await window.electronAPI.enumerateDisplays();
+      console.log('Loaded displays:', this.displays);
+
+      this.populateDisplaySelect('displayTarget');
+      this.populateDisplaySelect('defaultDisplay');
+    } catch (error) {
+      console.error('Failed to load displays:', error);
+    }
+  }
+
+  populateDisplaySelect(selectId) {
+    const displaySelect = document.getElementById(selectId);
+    if (!displaySelect) return;
+
+    displaySelect.innerHTML = '';
+
+    const options = [];
+
+    // Interval sessions can defer to whatever the settings say at capture time
+    if (selectId === 'displayTarget') {
+      options.push({ value: '', label: 'Use default setting' });
+    }
+
+    options.push({ value: 'primary', label: 'Primary Display' });
+
+    this.displays.forEach(display => {
+      const { width, height } = display.capabilities.size;
+      options.push({
+        value: display.device_id,
+        label: `${display.device_name} (${width}×${height})${display.primary ? ' • primary' : ''}`
+      });
+    });
+
+    if (this.displays.length > 1) {
+      options.push({ value: 'all', label: 'All Displays (Separate Files)' });
+      options.push({ value: 'stitched', label: 'All Displays (Stitched)' });
+    }
+
+    options.forEach(({ value, label }) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = label;
+      displaySelect.appendChild(option);
+    });
+
+    if (selectId === 'defaultDisplay') {
+      window.electronAPI.getSetting('screenshotDisplay').then(target => {
+        displaySelect.value = target || 'primary';
+      }).catch(console.error);
+    }
+  }
+
   async loadActiveSessions() {
     try {
       this.activeSessions = await window.electronAPI.getActiveSessions();
@@ -398,23 +922,43 @@ class CaptureApp {
     }
 
     container.innerHTML = this.activeSessions.map(session => `
-      <div class="session-card">
+      <div class="session-card" data-session-id="${escapeHtml(session.session_id)}">
         <div class="session-info">
-          <h4>${session.session_name || session.session_id}</h4>
-          <p>${session.capture_type} • ${session.interval_seconds}s interval • ${session.capture_count} captures</p>
-          <p>Status: ${session.status}</p>
+          <h4>${escapeHtml(session.session_name || session.session_id)}</h4>
+          <p>${escapeHtml(session.capture_type)} • ${session.interval_seconds}s interval${session.timing_summary ? ` (${escapeHtml(session.timing_summary)})` : ''} • ${session.capture_count} captures${session.missed_ticks ? ` • ${session.missed_ticks} missed` : ''}${session.failure_count ? ` • ${session.failure_count} failed` : ''}${session.dedup_count ? ` • ${session.dedup_count} duplicates skipped` : ''}</p>
+          <p>Status: ${escapeHtml(this.getSessionStatusText(session))}</p>
+          ${session.consecutive_failures ? `<p class="session-error" title="${escapeHtml(session.last_error)}"><i class="fas fa-exclamation-triangle"></i> Failing: ${escapeHtml(session.last_error)}</p>` : ''}
+          ${session.schedule_summary ? `<p class="session-schedule"><i class="fas fa-calendar-alt"></i> ${escapeHtml(session.schedule_summary)}</p>` : ''}
+          ${session.idle_summary ? `<p class="session-schedule"><i class="fas fa-user-clock"></i> ${escapeHtml(session.idle_summary)}</p>` : ''}
+          ${session.trigger_summary ? `<p class="session-schedule"><i class="fas fa-eye"></i> Captures ${escapeHtml(session.trigger_summary)}</p>` : ''}
+          ${session.dedup_summary ? `<p class="session-schedule"><i class="fas fa-clone"></i> ${escapeHtml(session.dedup_summary)}</p>` : ''}
         </div>
         <div class="session-controls">
           ${session.status === 'active' ?
-        `<button class="btn btn-secondary" onclick="app.pauseSession('${session.session_id}')">Pause</button>` :
-        `<button class="btn btn-primary" onclick="app.resumeSession('${session.session_id}')">Resume</button>`
+        '<button class="btn btn-secondary" data-session-action="pause">Pause</button>' :
+        '<button class="btn btn-primary" data-session-action="resume">Resume</button>'
       }
-          <button class="btn btn-warning" onclick="app.stopSession('${session.session_id}')">Stop</button>
+          <button class="btn btn-secondary" title="Render time-lapse" data-session-action="timelapse"><i class="fas fa-film"></i></button>
+          <button class="btn btn-secondary ${session.keep_forever ? 'pinned' : ''}" title="${session.keep_forever ? 'Unpin: allow retention cleanup' : 'Pin: keep these captures forever'}" data-session-action="pin"><i class="fas fa-thumbtack"></i></button>
+          <button class="btn btn-warning" data-session-action="stop">Stop</button>
         </div>
       </div>
     `).join('');
   }
 
+  getSessionStatusText(session) {
+    if (session.idle_paused) {
+      return 'paused while you are away';
+    }
+    if (session.status === 'active' && session.idle) {
+      return session.idle.reason === 'locked' ? 'screen locked, skipping captures' : 'you are away, skipping captures';
+    }
+    if (session.status === 'active' && session.waiting && session.next_capture_at) {
+      return `waiting until ${new Date(session.next_capture_at).toLocaleString()}`;
+    }
+    return session.status;
+  }
+
   async pauseSession(sessionId) {
     try {
       await window.electronAPI.pauseIntervalCapture(sessionId);
@@ -445,7 +989,8 @@ class CaptureApp {
     }
   }
 
-  showToast(message, type = 'info') {
+  // action: optional { label, onClick } rendered as a button inside the toast
+  showToast(message, type = 'info', action = null) {
     console.log(`${type.toUpperCase()}: ${message}`);
 
     // Create a simple toast notification
@@ -466,6 +1011,26 @@ class CaptureApp {
     `;
     toast.textContent = message;
 
+    if (action) {
+      const button = document.createElement('button');
+      button.textContent = action.label;
+      button.style.cssText = `
+        margin-left: 12px;
+        background: rgba(255,255,255,0.25);
+        color: white;
+        border: none;
+        border-radius: 4px;
+        padding: 4px 10px;
+        cursor: pointer;
+        font-weight: 600;
+      `;
+      button.addEventListener('click', () => {
+        toast.remove();
+        action.onClick();
+      });
+      toast.appendChild(button);
+    }
+
     // Add animation keyframes
     if (!document.getElementById('toast-styles')) {
       const style = document.createElement('style');
@@ -481,12 +1046,12 @@ class CaptureApp {
 
     document.body.appendChild(toast);
 
-    // Remove after 3 seconds
+    // Remove after 3 seconds, or 6 when there's an action to click
     setTimeout(() => {
       if (toast.parentNode) {
         toast.parentNode.removeChild(toast);
       }
-    }, 3000);
+    }, action ? 6000 : 3000);
   }
 
   // Add a method to refresh active sessions periodically
@@ -524,6 +1089,36 @@ class CaptureApp {
 
       // Re-render the sessions UI
       this.renderActiveSessions();
+
+      // New interval captures should show up in the gallery
+      this.gallery.scheduleRefresh();
+    });
+
+    window.electronAPI.onSessionFailureAlert((event, alert) => {
+      this.showToast(alert.message, 'error');
+      this.loadActiveSessions();
+    });
+
+    window.electronAPI.onRetentionApplied(() => {
+      this.gallery.scheduleRefresh();
+    });
+
+    window.electronAPI.onSaveLocationChanged(() => {
+      this.updateDirectoryStatus();
+      this.gallery.scheduleRefresh();
+    });
+
+    window.electronAPI.onDatabaseStatus((event, status) => {
+      this.renderDatabaseStatus(status);
+    });
+
+    window.electronAPI.onTimelapseProgress((event, { sessionId, current, total }) => {
+      if (sessionId !== this.timelapseSessionId) return;
+
+      const progress = document.getElementById('timelapseProgress');
+      progress.max = total;
+      progress.value = current;
+      document.getElementById('timelapseProgressText').textContent = `Rendering frame ${current} of ${total}`;
     });
   }
 
@@ -533,7 +1128,12 @@ class CaptureApp {
       session => session.session_id === updatedSession.session_id
     );
 
-    if (index !== -1) {
+    if (updatedSession.status === 'completed' || updatedSession.status === 'cancelled') {
+      // Stopped, possibly from the tray
+      if (index !== -1) {
+        this.activeSessions.splice(index, 1);
+      }
+    } else if (index !== -1) {
       this.activeSessions[index] = updatedSession;
     } else {
       // Session not in list, might be a new one
@@ -545,6 +1145,10 @@ class CaptureApp {
   showSettingsModal() {
     // Populate settings form with current values
     this.populateSettingsForm();
+    this.populateDisplaySelect('defaultDisplay');
+    this.loadTrashSettings();
+    this.loadRetentionSettings();
+    this.loadFailureSettings();
 
     // Show the modal
     const modal = document.getElementById('settingsModal');
@@ -600,6 +1204,22 @@ class CaptureApp {
       const defaultCameraId = document.getElementById('defaultCamera').value;
       await window.electronAPI.setSetting('defaultCameraId', defaultCameraId);
 
+      // Save screenshot display setting
+      await window.electronAPI.setSetting('screenshotDisplay', document.getElementById('defaultDisplay').value);
+
+      // Save trash retention
+      const retentionDays = parseInt(document.getElementById('trashRetentionDays').value);
+      if (retentionDays > 0) {
+        await window.electronAPI.setSetting('trashRetentionDays', retentionDays);
+      }
+
+      await window.electronAPI.setRetentionPolicy(this.getRetentionPolicyFromForm());
+
+      await window.electronAPI.setSetting('sessionFailurePolicy', {
+        notifyAfter: parseInt(document.getElementById('failureNotifyAfter').value) || 3,
+        autoPause: document.getElementById('failureAutoPause').checked
+      });
+
       // Update local settings
       this.defaultIntervalSettings = settings;
 
@@ -624,6 +1244,176 @@ class CaptureApp {
     }
   }
 
+  async loadFailureSettings() {
+    try {
+      const policy = await window.electronAPI.getSetting('sessionFailurePolicy') || {};
+      document.getElementById('failureNotifyAfter').value = policy.notifyAfter || 3;
+      document.getElementById('failureAutoPause').checked = !!policy.autoPause;
+    } catch (error) {
+      console.error('Failed to load failure settings:', error);
+    }
+  }
+
+  async loadTrashSettings() {
+    try {
+      const retentionDays = await window.electronAPI.getSetting('trashRetentionDays');
+      document.getElementById('trashRetentionDays').value = retentionDays || 30;
+
+      const trash = await window.electronAPI.getTrash();
+      document.getElementById('trashSummary').textContent = trash.length > 0 ?
+        `${trash.length} capture${trash.length === 1 ? '' : 's'} in trash` : 'Trash is empty';
+      document.getElementById('emptyTrashBtn').disabled = trash.length === 0;
+      document.getElementById('restoreTrashBtn').disabled = trash.length === 0;
+
+      document.getElementById('trashList').innerHTML = trash.map(capture => `
+        <li>
+          <span title="${escapeHtml(capture.filepath)}">${escapeHtml(capture.filename)}</span>
+          <small>deleted ${new Date(capture.deleted_at).toLocaleString()}</small>
+          <button type="button" class="btn btn-secondary" data-restore-id="${capture.id}">Restore</button>
+        </li>
+      `).join('');
+    } catch (error) {
+      console.error('Failed to load trash settings:', error);
+    }
+  }
+
+  // Restores the given captures, or everything in the trash
+  async restoreTrash(captureIds = null) {
+    try {
+      const ids = captureIds || (await window.electronAPI.getTrash()).map(capture => capture.id);
+      const result = await window.electronAPI.restoreCaptures(ids);
+
+      if (result.restoredIds.length > 0) {
+        this.showToast(`Restored ${result.restoredIds.length} capture${result.restoredIds.length === 1 ? '' : 's'}`, 'success');
+      }
+      if (result.errors.length > 0) {
+        this.showToast(`${result.errors.length} could not be restored: ${result.errors[0].error}`, 'error');
+      }
+
+      await this.loadTrashSettings();
+      await this.gallery.refresh();
+    } catch (error) {
+      console.error('Failed to restore captures:', error);
+      this.showToast('Failed to restore captures: ' + error.message, 'error');
+    }
+  }
+
+  async emptyTrash() {
+    if (!confirm('Permanently delete all captures in the trash? This cannot be undone.')) {
+      return;
+    }
+
+    try {
+      const result = await window.electronAPI.emptyTrash();
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+      this.showToast(`Removed ${result.purged} capture${result.purged === 1 ? '' : 's'} from trash`, 'success');
+      await this.loadTrashSettings();
+    } catch (error) {
+      console.error('Failed to empty trash:', error);
+      this.showToast('Failed to empty trash: ' + error.message, 'error');
+    }
+  }
+
+  async loadRetentionSettings() {
+    try {
+      const { policy, lastRun } = await window.electronAPI.getRetentionPolicy();
+      const setNumber = (id, value) => {
+        document.getElementById(id).value = value || '';
+      };
+
+      document.getElementById('retentionEnabled').checked = policy.enabled;
+      setNumber('retentionMaxAgeDays', policy.maxAgeDays);
+      setNumber('retentionScreenshotDays', policy.typeMaxAgeDays.screenshot);
+      setNumber('retentionCameraDays', policy.typeMaxAgeDays.camera);
+      setNumber('retentionCompositeDays', policy.typeMaxAgeDays.composite);
+      setNumber('retentionMaxSizeGB', policy.maxTotalSizeMB ? +(policy.maxTotalSizeMB / 1024).toFixed(2) : null);
+
+      document.getElementById('retentionLastRun').textContent = lastRun ?
+        `Last run ${new Date(lastRun.ranAt).toLocaleString()}: removed ${lastRun.deleted} capture${lastRun.deleted === 1 ? '' : 's'}` :
+        'Never run';
+      document.getElementById('retentionPreview').innerHTML = '';
+    } catch (error) {
+      console.error('Failed to load retention settings:', error);
+    }
+  }
+
+  // Main process normalises blanks to "no limit"
+  getRetentionPolicyFromForm() {
+    const value = (id) => document.getElementById(id).value;
+    const sizeGB = parseFloat(value('retentionMaxSizeGB'));
+
+    return {
+      enabled: document.getElementById('retentionEnabled').checked,
+      maxAgeDays: value('retentionMaxAgeDays'),
+      maxTotalSizeMB: sizeGB > 0 ? Math.round(sizeGB * 1024) : null,
+      typeMaxAgeDays: {
+        screenshot: value('retentionScreenshotDays'),
+        camera: value('retentionCameraDays'),
+        composite: value('retentionCompositeDays')
+      }
+    };
+  }
+
+  // Dry run of the rules as currently entered, saved or not
+  async previewRetention() {
+    const preview = document.getElementById('retentionPreview');
+    const previewBtn = document.getElementById('previewRetentionBtn');
+    preview.textContent = 'Checking...';
+    previewBtn.disabled = true;
+
+    try {
+      const plan = await window.electronAPI.previewRetention(this.getRetentionPolicyFromForm());
+      if (!plan.success) {
+        throw new Error(plan.error);
+      }
+
+      const formatMB = (bytes) => `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+      const reasons = { age: 'too old', size: 'over size limit' };
+      const items = plan.captures.map(capture =>
+        `<li>${escapeHtml(capture.filename)} (${reasons[capture.reason]}, ${formatMB(capture.size)})</li>`).join('');
+      const more = plan.count > plan.captures.length ? `<li>…and ${plan.count - plan.captures.length} more</li>` : '';
+
+      preview.innerHTML = plan.count === 0 ?
+        '<p><strong>Nothing would be deleted.</strong></p>' :
+        `<p><strong>${plan.count} capture${plan.count === 1 ? '' : 's'} would be permanently deleted</strong>,
+          freeing ${formatMB(plan.freedBytes)} (library is ${formatMB(plan.totalSize)}).</p>
+        <ul>${items}${more}</ul>`;
+
+      if (plan.pinnedSkipped > 0) {
+        preview.innerHTML += `<p>${plan.pinnedSkipped} capture${plan.pinnedSkipped === 1 ? ' is' : 's are'} kept because their session is pinned.</p>`;
+      }
+      if (plan.overLimit) {
+        preview.innerHTML += '<p>The library would still be over the size limit.</p>';
+      }
+      if (!plan.policy.enabled) {
+        preview.innerHTML += '<p>Automatic cleanup is off, so nothing will run until it is enabled.</p>';
+      }
+    } catch (error) {
+      console.error('Retention preview failed:', error);
+      preview.textContent = 'Preview failed: ' + error.message;
+    } finally {
+      previewBtn.disabled = false;
+    }
+  }
+
+  async toggleSessionKeepForever(sessionId) {
+    const session = this.activeSessions.find(s => s.session_id === sessionId);
+    const keepForever = !(session && session.keep_forever);
+
+    try {
+      const result = await window.electronAPI.setSessionKeepForever(sessionId, keepForever);
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+      this.showToast(keepForever ? 'Session pinned, its captures will be kept' : 'Session unpinned', 'success');
+      await this.loadActiveSessions();
+    } catch (error) {
+      this.showToast('Failed to update session: ' + error.message, 'error');
+    }
+  }
+
   // Reset permission status
   async resetPermissions() {
     try {
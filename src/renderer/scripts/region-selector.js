@@ -0,0 +1,96 @@
+// Region selection overlay, shown full-screen over a single display by CaptureManager.selectRegion()
+document.addEventListener('DOMContentLoaded', () => {
+    const api = window.electronAPI;
+
+    if (!api) {
+        console.error('electronAPI not exposed');
+        return;
+    }
+
+    const dimLayer = document.getElementById('dimLayer');
+    const selection = document.getElementById('selection');
+    const sizeLabel = document.getElementById('selectionSize');
+    const hint = document.getElementById('hint');
+
+    // Ignore accidental clicks
+    const MIN_SIZE = 4;
+
+    let start = null;
+    let rect = null;
+    let finished = false;
+
+    const finish = (result) => {
+        if (finished) return;
+        finished = true;
+
+        if (result) {
+            api.submitRegionSelection(result);
+        } else {
+            api.cancelRegionSelection();
+        }
+    };
+
+    const updateSelection = (x, y) => {
+        rect = {
+            x: Math.min(start.x, x),
+            y: Math.min(start.y, y),
+            width: Math.abs(x - start.x),
+            height: Math.abs(y - start.y)
+        };
+
+        selection.style.left = `${rect.x}px`;
+        selection.style.top = `${rect.y}px`;
+        selection.style.width = `${rect.width}px`;
+        selection.style.height = `${rect.height}px`;
+
+        // Show the size in physical pixels, which is what ends up in the file
+        const scale = window.devicePixelRatio || 1;
+        sizeLabel.textContent = `${Math.round(rect.width * scale)} × ${Math.round(rect.height * scale)}`;
+        sizeLabel.classList.toggle('inside', rect.y < 32);
+    };
+
+    document.addEventListener('mousedown', (e) => {
+        if (e.button !== 0) return;
+
+        start = { x: e.clientX, y: e.clientY };
+        dimLayer.classList.add('hidden');
+        hint.classList.add('hidden');
+        selection.classList.remove('hidden');
+        updateSelection(e.clientX, e.clientY);
+    });
+
+    document.addEventListener('mousemove', (e) => {
+        if (!start) return;
+        updateSelection(e.clientX, e.clientY);
+    });
+
+    document.addEventListener('mouseup', (e) => {
+        if (!start || e.button !== 0) return;
+
+        updateSelection(e.clientX, e.clientY);
+        start = null;
+
+        if (rect.width < MIN_SIZE || rect.height < MIN_SIZE) {
+            // Too small to be intentional, let the user try again
+            selection.classList.add('hidden');
+            dimLayer.classList.remove('hidden');
+            hint.classList.remove('hidden');
+            rect = null;
+            return;
+        }
+
+        finish(rect);
+    });
+
+    // Right click cancels, like most native snipping tools
+    document.addEventListener('contextmenu', (e) => {
+        e.preventDefault();
+        finish(null);
+    });
+
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') {
+            finish(null);
+        }
+    });
+});
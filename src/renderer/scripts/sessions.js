@@ -0,0 +1,300 @@
+// Session history: finished interval sessions, each with a detail view showing a
+// timeline of its captures, the gaps between them and its logged events
+const SESSION_EVENT_LABELS = {
+  paused: 'Paused',
+  resumed: 'Resumed',
+  auto_paused: 'Paused after repeated failures',
+  missed: 'Missed',
+  failure: 'Capture failed',
+  suspended: 'Computer asleep',
+  skipped_idle: 'Skipped while away',
+  schedule_ended: 'Schedule ended'
+};
+
+function formatDuration(ms) {
+  const minutes = Math.round(ms / 60000);
+  if (minutes < 1) return `${Math.max(1, Math.round(ms / 1000))} s`;
+  if (minutes < 60) return `${minutes} min`;
+  const hours = Math.floor(minutes / 60);
+  return minutes % 60 ? `${hours} h ${minutes % 60} min` : `${hours} h`;
+}
+
+// ISO strings and SQLite 'YYYY-MM-DD HH:MM:SS' (UTC) timestamps
+function parseSessionTime(value) {
+  if (!value) return null;
+  return new Date(/[zZ]|[+-]\d\d:?\d\d$/.test(value) ? value : `${value.replace(' ', 'T')}Z`);
+}
+
+class SessionHistoryView {
+  constructor(app) {
+    this.app = app;
+    this.sessions = [];
+    this.detail = null;
+
+    this.list = document.getElementById('historyList');
+    this.modal = document.getElementById('sessionDetailModal');
+  }
+
+  async init() {
+    document.getElementById('historyRefreshBtn').addEventListener('click', () => this.refresh());
+
+    this.list.addEventListener('click', (e) => {
+      const row = e.target.closest('.history-row');
+      if (row) {
+        this.openDetail(row.dataset.sessionId);
+      }
+    });
+
+    document.getElementById('sessionTimeline').addEventListener('click', (e) => {
+      const thumb = e.target.closest('.timeline-thumb');
+      if (thumb) {
+        window.electronAPI.openCapture(parseInt(thumb.dataset.captureId));
+      }
+    });
+
+    document.getElementById('sessionSaveBtn').addEventListener('click', () => this.saveDetails());
+    document.getElementById('sessionExportBtn').addEventListener('click', () => this.exportSession());
+    document.getElementById('sessionTimelapseBtn').addEventListener('click', () => {
+      const sessionId = this.detail.session.session_id;
+      this.app.closeModal(this.modal);
+      this.app.showTimelapseModal(sessionId);
+    });
+    document.getElementById('sessionPinBtn').addEventListener('click', () => this.togglePin());
+    document.getElementById('sessionDeleteBtn').addEventListener('click', () => this.deleteSession());
+
+    // A session that just finished belongs in the history now
+    window.electronAPI.onSessionUpdate((event, session) => {
+      if (session.status !== 'active' && session.status !== 'paused') {
+        this.refresh();
+      }
+    });
+    window.electronAPI.onRetentionApplied(() => this.refresh());
+
+    await this.refresh();
+  }
+
+  async refresh() {
+    try {
+      const result = await window.electronAPI.getSessionHistory();
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+      this.sessions = result.sessions;
+      this.renderList();
+    } catch (error) {
+      console.error('Failed to load session history:', error);
+      this.list.textContent = 'Failed to load session history: ' + error.message;
+    }
+  }
+
+  renderList() {
+    if (this.sessions.length === 0) {
+      this.list.innerHTML = '<p class="storage-empty">No finished sessions yet</p>';
+      return;
+    }
+
+    this.list.innerHTML = this.sessions.map(session => {
+      const start = parseSessionTime(session.start_time);
+      const end = parseSessionTime(session.end_time);
+      const counts = [`${session.capture_count} captures`];
+      if (session.missed_ticks) counts.push(`${session.missed_ticks} missed`);
+      if (session.failure_count) counts.push(`${session.failure_count} failed`);
+      if (session.dedup_count) counts.push(`${session.dedup_count} duplicates skipped`);
+
+      return `
+        <div class="history-row" data-session-id="${escapeHtml(session.session_id)}">
+          <div class="history-info">
+            <h4>${escapeHtml(session.session_name || session.session_id)}${session.keep_forever ? ' <i class="fas fa-thumbtack" title="Pinned"></i>' : ''}</h4>
+            <p>${start ? start.toLocaleString() : ''}${start && end ? ` • ${formatDuration(end - start)}` : ''} • ${escapeHtml(session.capture_type)} every ${session.interval_seconds}s</p>
+            ${session.tags.length > 0 ? `<div class="history-tags">${session.tags.map(tag => `<span>${escapeHtml(tag)}</span>`).join('')}</div>` : ''}
+          </div>
+          <div class="history-counts">${counts.join(' • ')}</div>
+        </div>
+      `;
+    }).join('');
+  }
+
+  async openDetail(sessionId) {
+    try {
+      const detail = await window.electronAPI.getSessionDetail(sessionId);
+      if (!detail.success) {
+        throw new Error(detail.error);
+      }
+      this.detail = detail;
+      this.renderDetail();
+      this.modal.classList.add('active');
+    } catch (error) {
+      console.error('Failed to load session:', error);
+      this.app.showToast('Failed to load session: ' + error.message, 'error');
+    }
+  }
+
+  renderDetail() {
+    const { session, captures, events, gaps, totalSize } = this.detail;
+    const start = parseSessionTime(session.start_time);
+    const end = parseSessionTime(session.end_time);
+
+    document.getElementById('sessionDetailTitle').textContent = session.session_name || session.session_id;
+    document.getElementById('sessionDetailName').value = session.session_name || '';
+    document.getElementById('sessionDetailTags').value = session.tags.join(', ');
+    document.getElementById('sessionPinBtn').innerHTML =
+      `<i class="fas fa-thumbtack"></i> ${session.keep_forever ? 'Unpin' : 'Pin'}`;
+
+    document.getElementById('sessionDetailSummary').innerHTML = `
+      <div class="storage-stat">
+        <span class="storage-stat-value">${captures.length}</span>
+        <span class="storage-stat-label">Captures</span>
+        <small>${formatBytes(totalSize)}${session.dedup_count ? ` • ${session.dedup_count} duplicates skipped` : ''}</small>
+      </div>
+      <div class="storage-stat">
+        <span class="storage-stat-value">${start && end ? formatDuration(end - start) : '—'}</span>
+        <span class="storage-stat-label">Duration</span>
+        <small>${start ? start.toLocaleString() : ''}</small>
+      </div>
+      <div class="storage-stat">
+        <span class="storage-stat-value">${gaps.length}</span>
+        <span class="storage-stat-label">Gaps</span>
+        <small>${session.missed_ticks || 0} missed ticks</small>
+      </div>
+      <div class="storage-stat">
+        <span class="storage-stat-value">${session.failure_count || 0}</span>
+        <span class="storage-stat-label">Failures</span>
+        <small title="${escapeHtml(session.last_error || '')}">${escapeHtml(session.last_error || 'None')}</small>
+      </div>
+    `;
+
+    this.renderTimeline(captures, gaps);
+
+    const eventList = document.getElementById('sessionEvents');
+    eventList.innerHTML = events.length === 0 ? '<li>Nothing logged</li>' : events.map(event => `
+      <li class="session-event ${escapeHtml(event.event_type)}">
+        <span>${parseSessionTime(event.occurred_at).toLocaleString()}</span>
+        ${escapeHtml(SESSION_EVENT_LABELS[event.event_type] || event.event_type)}${this.describeEventDetails(event)}
+      </li>
+    `).join('');
+  }
+
+  // Thumbnails oldest first, with a marker wherever captures stopped for a while
+  renderTimeline(captures, gaps) {
+    const container = document.getElementById('sessionTimeline');
+    if (captures.length === 0) {
+      container.innerHTML = '<p class="storage-empty">No captures left in this session</p>';
+      return;
+    }
+
+    const gapsAfter = new Map(gaps.map(gap => [gap.afterCaptureId, gap]));
+    container.innerHTML = captures.map(capture => {
+      const time = parseSessionTime(capture.timestamp).toLocaleString();
+      const gap = gapsAfter.get(capture.id);
+      const gapLabel = gap ? (gap.reason === 'suspended' ? 'asleep' : gap.reason === 'idle' ? 'away' : gap.reason || 'gap') : '';
+      const repeats = capture.repeat_count ? ` • unchanged for ${capture.repeat_count} more` : '';
+      const change = capture.diff_score !== null && capture.diff_score !== undefined ? ` • ${capture.diff_score}% changed` : '';
+
+      return `
+        <img class="timeline-thumb" loading="lazy" data-capture-id="${capture.id}"
+          src="${toFileUrl(capture.thumbnail_path || capture.filepath)}" title="${escapeHtml(`${time} • ${capture.filename}${change}${repeats}`)}">
+        ${gap ? `<div class="timeline-gap ${gap.reason || ''}" title="${escapeHtml(`${new Date(gap.from).toLocaleString()} – ${new Date(gap.to).toLocaleString()}`)}">
+          <span>${formatDuration(gap.durationMs)}</span><small>${gapLabel}</small>
+        </div>` : ''}
+      `;
+    }).join('');
+  }
+
+  describeEventDetails(event) {
+    const details = event.details;
+    if (!details || typeof details !== 'object') return '';
+    if (event.event_type === 'missed') {
+      return ` ${details.count} tick${details.count === 1 ? '' : 's'} (${escapeHtml(details.reason)})`;
+    }
+    if (event.event_type === 'failure') {
+      return `: ${escapeHtml(details.error)}`;
+    }
+    if (event.event_type === 'skipped_idle') {
+      return ` ${details.count} tick${details.count === 1 ? '' : 's'} over ${formatDuration(new Date(details.to) - new Date(details.from))} (${details.reason === 'locked' ? 'screen locked' : 'no input'})`;
+    }
+    if (event.event_type === 'paused' && details.reason === 'idle') {
+      return ' (user away)';
+    }
+    if (event.event_type === 'suspended') {
+      return ` for ${formatDuration(new Date(details.to) - new Date(details.from))}`;
+    }
+    return '';
+  }
+
+  async saveDetails() {
+    const sessionId = this.detail.session.session_id;
+    try {
+      const result = await window.electronAPI.updateSessionDetails(sessionId, {
+        session_name: document.getElementById('sessionDetailName').value,
+        tags: document.getElementById('sessionDetailTags').value
+      });
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+      this.app.showToast('Session updated', 'success');
+      await this.openDetail(sessionId);
+      await this.refresh();
+      await this.app.gallery.loadSessions();
+    } catch (error) {
+      this.app.showToast('Failed to update session: ' + error.message, 'error');
+    }
+  }
+
+  async exportSession() {
+    const button = document.getElementById('sessionExportBtn');
+    button.disabled = true;
+
+    try {
+      const result = await window.electronAPI.exportCaptures({ session_id: this.detail.session.session_id }, { format: 'zip' });
+      if (result.cancelled) return;
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+
+      const missingNote = result.missing.length > 0 ? ` (${result.missing.length} missing on disk)` : '';
+      this.app.showToast(`Exported ${result.exported} captures${missingNote}`, 'success');
+    } catch (error) {
+      console.error('Session export failed:', error);
+      this.app.showToast('Export failed: ' + error.message, 'error');
+    } finally {
+      button.disabled = false;
+    }
+  }
+
+  async togglePin() {
+    const session = this.detail.session;
+    try {
+      const result = await window.electronAPI.setSessionKeepForever(session.session_id, !session.keep_forever);
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+      await this.openDetail(session.session_id);
+      await this.refresh();
+    } catch (error) {
+      this.app.showToast('Failed to update pin: ' + error.message, 'error');
+    }
+  }
+
+  async deleteSession() {
+    const session = this.detail.session;
+    const name = session.session_name || session.session_id;
+    if (!confirm(`Delete "${name}"? Its ${this.detail.captures.length} captures will be moved to the trash.`)) {
+      return;
+    }
+
+    try {
+      const result = await window.electronAPI.deleteSession(session.session_id);
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+      this.app.closeModal(this.modal);
+      this.app.showToast(`Deleted session, ${result.trashed} captures moved to trash`, 'success');
+      await this.refresh();
+      await this.app.gallery.loadSessions();
+      this.app.gallery.scheduleRefresh();
+      this.app.storage.refresh();
+    } catch (error) {
+      this.app.showToast('Failed to delete session: ' + error.message, 'error');
+    }
+  }
+}
@@ -0,0 +1,147 @@
+// Storage dashboard: library usage per day, capture type and session, projected
+// growth from running interval sessions, and free-space warnings
+const STORAGE_DAYS_SHOWN = 30;
+const STORAGE_SESSIONS_SHOWN = 8;
+const STORAGE_TYPE_LABELS = {
+  screenshot: 'Screenshots',
+  camera: 'Camera',
+  composite: 'Composite'
+};
+
+class StorageDashboard {
+  constructor(app) {
+    this.app = app;
+    this.report = null;
+    this.loading = false;
+
+    this.warnings = document.getElementById('storageWarnings');
+    this.summary = document.getElementById('storageSummary');
+  }
+
+  async init() {
+    document.getElementById('storageRefreshBtn').addEventListener('click', () => this.refresh());
+
+    // Sent only when the free-space level changes
+    window.electronAPI.onStorageWarning((event, { level, warnings }) => {
+      if (level !== 'ok') {
+        warnings.forEach(warning => this.app.showToast(warning.message, 'error'));
+      }
+      this.refresh();
+    });
+
+    window.electronAPI.onRetentionApplied(() => this.refresh());
+    window.electronAPI.onSaveLocationChanged(() => this.refresh());
+
+    await this.refresh();
+  }
+
+  async refresh() {
+    if (this.loading) return;
+    this.loading = true;
+
+    try {
+      const report = await window.electronAPI.getStorageReport();
+      if (!report.success) {
+        throw new Error(report.error);
+      }
+      this.report = report;
+      this.render();
+    } catch (error) {
+      console.error('Failed to load storage report:', error);
+      this.summary.textContent = 'Failed to load storage usage: ' + error.message;
+    } finally {
+      this.loading = false;
+    }
+  }
+
+  render() {
+    const report = this.report;
+
+    this.warnings.innerHTML = report.warnings.map(warning => `
+      <div class="storage-warning ${warning.level}">
+        <i class="fas fa-exclamation-triangle"></i> ${escapeHtml(warning.message)}
+      </div>
+    `).join('');
+
+    const { disk, growth } = report;
+    const daysUntilFull = growth.daysUntilFull;
+    const fullText = daysUntilFull === null ? 'No active sessions' :
+      daysUntilFull < 1 ? 'Full in under a day' :
+        daysUntilFull > 365 ? 'Full in over a year' : `Full in ~${Math.round(daysUntilFull)} days`;
+
+    this.summary.innerHTML = `
+      <div class="storage-stat">
+        <span class="storage-stat-value">${formatBytes(report.totalSize)}</span>
+        <span class="storage-stat-label">Library size</span>
+        <small title="${escapeHtml(report.saveLocation)}">${escapeHtml(report.saveLocation)}</small>
+      </div>
+      <div class="storage-stat">
+        <span class="storage-stat-value">${report.totalFiles}</span>
+        <span class="storage-stat-label">Files</span>
+        <small>${report.dateFolders} day folder${report.dateFolders === 1 ? '' : 's'}</small>
+      </div>
+      <div class="storage-stat">
+        <span class="storage-stat-value">${disk ? formatBytes(disk.free) : 'Unknown'}</span>
+        <span class="storage-stat-label">Free on disk</span>
+        <small>${disk ? `of ${formatBytes(disk.total)}` : ''}</small>
+      </div>
+      <div class="storage-stat">
+        <span class="storage-stat-value">${formatBytes(growth.bytesPerDay)}/day</span>
+        <span class="storage-stat-label">Projected growth</span>
+        <small>${fullText}</small>
+      </div>
+    `;
+
+    this.renderBars('storageByType', report.byType.map(row => ({
+      label: STORAGE_TYPE_LABELS[row.capture_type] || row.capture_type,
+      bytes: row.bytes,
+      detail: `${row.count} capture${row.count === 1 ? '' : 's'}`
+    })));
+
+    this.renderBars('storageBySession', report.bySession.slice(0, STORAGE_SESSIONS_SHOWN).map(row => ({
+      label: `${row.session_name || row.session_id}${row.keep_forever ? ' (pinned)' : ''}`,
+      bytes: row.bytes,
+      detail: `${row.count} capture${row.count === 1 ? '' : 's'}${row.status === 'active' ? ', running' : ''}`
+    })));
+
+    this.renderDays();
+  }
+
+  renderBars(containerId, rows) {
+    const container = document.getElementById(containerId);
+    if (rows.length === 0) {
+      container.innerHTML = '<p class="storage-empty">Nothing yet</p>';
+      return;
+    }
+
+    const max = Math.max(...rows.map(row => row.bytes), 1);
+    container.innerHTML = rows.map(row => `
+      <div class="storage-bar-row">
+        <span class="storage-bar-label" title="${escapeHtml(row.label)}">${escapeHtml(row.label)}</span>
+        <div class="storage-bar"><div style="width: ${(row.bytes / max) * 100}%"></div></div>
+        <span class="storage-bar-value" title="${escapeHtml(row.detail)}">${formatBytes(row.bytes)}</span>
+      </div>
+    `).join('');
+  }
+
+  // One column per day, oldest on the left, days without captures left empty
+  renderDays() {
+    const container = document.getElementById('storageByDay');
+    const usage = new Map(this.report.byDay.map(row => [row.day, row]));
+
+    const days = [];
+    for (let i = STORAGE_DAYS_SHOWN - 1; i >= 0; i--) {
+      const date = new Date();
+      date.setDate(date.getDate() - i);
+      const day = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+      days.push(usage.get(day) || { day, count: 0, bytes: 0 });
+    }
+
+    const max = Math.max(...days.map(day => day.bytes), 1);
+    container.innerHTML = days.map(day => `
+      <div class="storage-day" title="${day.day}: ${formatBytes(day.bytes)}, ${day.count} capture${day.count === 1 ? '' : 's'}">
+        <div style="height: ${(day.bytes / max) * 100}%"></div>
+      </div>
+    `).join('');
+  }
+}
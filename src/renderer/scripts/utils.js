@@ -0,0 +1,23 @@
+// Helpers shared by the renderer scripts. Loaded before all of them.
+
+// Converts a filesystem path to a file:// URL the renderer can load
+function toFileUrl(filePath) {
+  const normalized = filePath.replace(/\\/g, '/');
+  const prefixed = normalized.startsWith('/') ? normalized : `/${normalized}`;
+  return 'file://' + encodeURI(prefixed).replace(/#/g, '%23').replace(/\?/g, '%3F');
+}
+
+function formatBytes(bytes) {
+  if (!bytes) return '0 B';
+  const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+  const exponent = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1);
+  const value = bytes / Math.pow(1024, exponent);
+  return `${value.toFixed(exponent === 0 || value >= 100 ? 0 : 1)} ${units[exponent]}`;
+}
+
+// For text going into innerHTML, attributes included
+function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = text == null ? '' : String(text);
+  return div.innerHTML;
+}
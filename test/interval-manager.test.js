@@ -0,0 +1,100 @@
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const Module = require('module');
+
+// IntervalManager pulls in Electron, SQLite and the capture stack; stub them so
+// the scheduling logic runs under plain Node
+const stubs = {
+  electron: {
+    BrowserWindow: { getAllWindows: () => [] },
+    Notification: class {},
+    powerMonitor: { on() {}, getSystemIdleTime: () => 0 }
+  },
+  'electron-store': class {
+    get() {}
+    set() {}
+  },
+  uuid: { v4: () => 'session-id' },
+  canvas: { createCanvas() {} },
+  '../database/database-manager': { DatabaseManager: class {} },
+  './capture-manager': { CaptureManager: class {} }
+};
+const originalLoad = Module._load;
+Module._load = function (request, ...args) {
+  return Object.prototype.hasOwnProperty.call(stubs, request) ? stubs[request] : originalLoad.call(this, request, ...args);
+};
+const { IntervalManager } = require('../src/main/capture/interval-manager');
+Module._load = originalLoad;
+
+// Monday 2024-01-01, local time. Captures every minute from 08:00 with ±50%
+// jitter, active 09:00-17:00.
+const START = new Date(2024, 0, 1, 8, 0, 0);
+const INTERVAL_SECONDS = 60;
+
+function at(hours, minutes, seconds = 0) {
+  return new Date(2024, 0, 1, hours, minutes, seconds).getTime();
+}
+
+function tickIndexAt(hours, minutes) {
+  return (at(hours, minutes) - START.getTime()) / (INTERVAL_SECONDS * 1000);
+}
+
+function createManager() {
+  const dbManager = {
+    insertSessionEvent: async () => {},
+    addSessionMissedTicks: async () => {},
+    updateSession: async () => {}
+  };
+  const manager = new IntervalManager(dbManager, {}, new stubs['electron-store']());
+  manager.activeSessions.set('S', {
+    session_id: 'S',
+    status: 'active',
+    capture_type: 'screenshot',
+    interval_seconds: INTERVAL_SECONDS,
+    capture_count: 0,
+    start_time: START,
+    capture_settings: {
+      schedule: { activeHours: { start: '09:00', end: '17:00' } },
+      timing: { mode: 'jitter', jitterPercent: 50 }
+    }
+  });
+
+  const captured = [];
+  manager.performCapture = async () => captured.push(Date.now());
+  manager.clearFailureStreak = async () => {};
+  return { manager, captured };
+}
+
+// Fires the timeout for tickIndex at `now`, as if jitter had moved it there
+async function fireTick(manager, tickIndex, now) {
+  mock.timers.setTime(now);
+  manager.schedules.set('S', { timer: null, nextIndex: tickIndex, fireTime: now, offsetIndex: tickIndex, offset: 0 });
+  await manager.runTick('S');
+  manager.clearTimer('S');
+}
+
+beforeEach(() => {
+  mock.timers.enable({ apis: ['Date', 'setTimeout', 'setInterval'], now: START.getTime() });
+});
+
+afterEach(() => {
+  mock.timers.reset();
+});
+
+test('a tick jittered to just before the window opens is captured', async () => {
+  const { manager, captured } = createManager();
+  await fireTick(manager, tickIndexAt(9, 0), at(8, 59, 45));
+  assert.strictEqual(captured.length, 1);
+});
+
+test('a tick jittered to just after the window closes is captured', async () => {
+  const { manager, captured } = createManager();
+  await fireTick(manager, tickIndexAt(16, 59), at(17, 0, 20));
+  assert.strictEqual(captured.length, 1);
+});
+
+test('a tick due outside the window is not captured', async () => {
+  const { manager, captured } = createManager();
+  await fireTick(manager, tickIndexAt(17, 0), at(16, 59, 50));
+  assert.strictEqual(captured.length, 0);
+});